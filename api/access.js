@@ -0,0 +1,198 @@
+const fs = require("fs");
+const path = require("path");
+const { HEADERS, verifySignature } = require("../shared/signing");
+
+// ==========================
+// Access control (auth, CORS, rate limits, daily quotas)
+// ==========================
+// Requests from the bot are signed with API_SECRET (see shared/signing.js) and name the guild and
+// user they act for. AI routes are limited per user and per guild: a short sliding window against
+// bursts and a daily quota (UTC days) against one server using up the model.
+// With API_SECRET set, only signed requests get through. Without it the ids are taken as sent,
+// so the bot's guilds and users keep their own limits; requests with no user id are limited by IP.
+
+function envNumber(name, fallback) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+const API_SECRET = process.env.API_SECRET || "";
+const LIMITS = {
+  windowSec: envNumber("RATE_LIMIT_WINDOW_SEC", 60),
+  user: envNumber("RATE_LIMIT_USER", 5),
+  guild: envNumber("RATE_LIMIT_GUILD", 15),
+  userDaily: envNumber("QUOTA_USER_DAILY", 20),
+  guildDaily: envNumber("QUOTA_GUILD_DAILY", 60)
+};
+const QUOTA_FILE = process.env.QUOTA_STORE || path.join(__dirname, "data", "quotas.json");
+const QUOTA_FLUSH_MS = 5000;
+
+// CORS_ORIGINS: comma-separated allow-list, "*" for any origin; unset means no browser access
+function corsOptions() {
+  const origins = String(process.env.CORS_ORIGINS || "").split(",").map(o => o.trim()).filter(Boolean);
+  if (origins.includes("*")) return { origin: true };
+  return { origin: origins.length ? origins : false };
+}
+
+// Keeps the raw bytes so the signature is checked against exactly what was sent
+function keepRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+// The health check stays open; everything else needs a valid signature when API_SECRET is set
+function authenticate(req, res, next) {
+  req.actor = {
+    guildId: String(req.get(HEADERS.guildId) || ""),
+    userId: String(req.get(HEADERS.userId) || ""),
+    signed: false
+  };
+  if (!API_SECRET || (req.method === "GET" && req.path === "/")) return next();
+
+  const problem = verifySignature(API_SECRET, {
+    timestamp: req.get(HEADERS.timestamp),
+    signature: req.get(HEADERS.signature),
+    method: req.method,
+    path: req.originalUrl,
+    guildId: req.actor.guildId,
+    userId: req.actor.userId,
+    body: req.rawBody ? req.rawBody.toString("utf8") : ""
+  });
+  if (problem) return res.status(401).json({ error: `Unauthorized: ${problem}`, code: "unauthorized" });
+  req.actor.signed = true;
+  next();
+}
+
+// ==========================
+// Sliding-window rate limits (in memory)
+// ==========================
+const WINDOWS = new Map(); // "user:<id>" | "guild:<id>" -> request times (ms), oldest first
+
+function recentHits(key, now) {
+  const since = now - LIMITS.windowSec * 1000;
+  const hits = (WINDOWS.get(key) || []).filter(t => t > since);
+  if (hits.length) WINDOWS.set(key, hits);
+  else WINDOWS.delete(key);
+  return hits;
+}
+
+// ==========================
+// Daily quotas (in memory, flushed to QUOTA_FILE so a restart doesn't hand out a fresh day)
+// ==========================
+function utcDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight(now) {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+}
+
+// A missing or unreadable file starts the day from zero rather than failing every AI request
+function readQuotas() {
+  try {
+    const saved = JSON.parse(fs.readFileSync(QUOTA_FILE, "utf8"));
+    if (saved && typeof saved.day === "string" && saved.users && saved.guilds) return saved;
+    console.warn(`⚠️ Ignoring ${QUOTA_FILE}: not a quota file`);
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn(`⚠️ Ignoring ${QUOTA_FILE}: ${e.message}`);
+  }
+  return null;
+}
+
+let quotas = readQuotas();
+let quotasDirty = false;
+
+// Only today's counts are kept
+function todaysQuotas(now) {
+  if (!quotas || quotas.day !== utcDay(now)) {
+    quotas = { day: utcDay(now), users: {}, guilds: {} };
+    quotasDirty = true;
+  }
+  return quotas;
+}
+
+// Temp file then rename, so a crash mid-write leaves the previous file intact
+function flushQuotas() {
+  if (!quotasDirty) return;
+  try {
+    fs.mkdirSync(path.dirname(QUOTA_FILE), { recursive: true });
+    const tmp = `${QUOTA_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(quotas, null, 2));
+    fs.renameSync(tmp, QUOTA_FILE);
+    quotasDirty = false;
+  } catch (e) {
+    console.warn(`⚠️ Couldn't save quotas: ${e.message}`);
+  }
+}
+
+setInterval(flushQuotas, QUOTA_FLUSH_MS).unref();
+process.on("exit", flushQuotas);
+
+function tooMany(res, { code, scope, limit, retryAfter, resetAt, message }) {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ error: message, code, scope, limit, retryAfter, resetAt: new Date(resetAt).toISOString() });
+}
+
+// Route middleware for the AI routes. Every accepted request counts, whether or not the model succeeds.
+// Requests without a user id (scripts) are limited by IP.
+function limitGenerations(req, res, next) {
+  const now = Date.now();
+  const trusted = !!req.actor?.signed || !API_SECRET;
+  const guildId = trusted ? req.actor.guildId : "";
+  const userKey = trusted && req.actor.userId ? `user:${req.actor.userId}` : `ip:${req.ip}`;
+
+  const windows = [
+    { scope: "user", key: userKey, limit: LIMITS.user },
+    { scope: "guild", key: guildId ? `guild:${guildId}` : null, limit: LIMITS.guild }
+  ].filter(w => w.key && w.limit > 0);
+
+  for (const w of windows) {
+    const hits = recentHits(w.key, now);
+    if (hits.length < w.limit) continue;
+    const resetAt = hits[hits.length - w.limit] + LIMITS.windowSec * 1000;
+    return tooMany(res, {
+      code: "rate_limited",
+      scope: w.scope,
+      limit: w.limit,
+      retryAfter: Math.max(1, Math.ceil((resetAt - now) / 1000)),
+      resetAt,
+      message: `Too many AI requests for this ${w.scope}: at most ${w.limit} per ${LIMITS.windowSec}s`
+    });
+  }
+
+  const today = todaysQuotas(now);
+  const counters = [
+    { scope: "user", table: today.users, key: userKey, limit: LIMITS.userDaily },
+    { scope: "guild", table: today.guilds, key: guildId, limit: LIMITS.guildDaily }
+  ].filter(c => c.key && c.limit > 0);
+
+  for (const c of counters) {
+    if ((c.table[c.key] || 0) < c.limit) continue;
+    const resetAt = nextUtcMidnight(now);
+    return tooMany(res, {
+      code: "quota",
+      scope: c.scope,
+      limit: c.limit,
+      retryAfter: Math.ceil((resetAt - now) / 1000),
+      resetAt,
+      message: `Daily AI quota used up for this ${c.scope} (${c.limit} per day)`
+    });
+  }
+
+  for (const w of windows) WINDOWS.set(w.key, [...recentHits(w.key, now), now]);
+  for (const c of counters) c.table[c.key] = (c.table[c.key] || 0) + 1;
+  if (counters.length) quotasDirty = true;
+  next();
+}
+
+module.exports = {
+  API_SECRET,
+  LIMITS,
+  corsOptions,
+  keepRawBody,
+  authenticate,
+  limitGenerations,
+  flushQuotas
+};
\ No newline at end of file
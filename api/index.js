@@ -1,122 +1,249 @@
 require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
+const {
+  LANGUAGES,
+  PERM_PACK_NAMES,
+  CHANNEL_TYPES,
+  VOICE_TYPES,
+  ROLE_MENU_STYLES,
+  TICKET_MODES,
+  applyVerificationGate,
+  AFK_TIMEOUTS,
+  LIMITS,
+  isTextLike,
+  normalizeChannelName,
+  validateBlueprintSchema,
+  describeErrors,
+  planBlueprint,
+  diffBlueprints,
+  describeDiff
+} = require("../shared/blueprint");
+const { createProvider } = require("./providers");
+const { EDIT_ACTIONS, OUTPUT_SCHEMAS } = require("./schemas");
+const library = require("./library");
+const { parseModelJSON } = require("./repair");
+const { API_SECRET, corsOptions, keepRawBody, authenticate, limitGenerations } = require("./access");
 
 const app = express();
-app.use(cors());
-app.use(express.json({ limit: "2mb" }));
+app.use(cors(corsOptions()));
+app.use(express.json({ limit: "2mb", verify: keepRawBody }));
+// API_SECRET signs bot requests; limits and quotas are in access.js
+app.use(authenticate);
 
 const PORT = process.env.PORT || 5050;
-const OLLAMA_MODEL = process.env.OLLAMA_MODEL || "llama3"; // change to mistral if you want
-const OLLAMA_URL = process.env.OLLAMA_URL || "http://localhost:11434/api/generate";
+
+// AI_PROVIDER = ollama (default) | ollama-chat | openai | stub — see providers.js
+const provider = createProvider();
+
+// AI_STRUCTURED_OUTPUT = schema (default, JSON Schema) | json (plain JSON mode) | off
+const STRUCTURED_OUTPUT = (process.env.AI_STRUCTURED_OUTPUT || "schema").toLowerCase();
 
 // ==========================
 // Template Pack (local "web-like" knowledge)
 // ==========================
 const TEMPLATE_PACK = {
   // We keep this short but strong. The model can expand/customize.
+  // `he` is the Hebrew name; keys stay English in every language.
   requiredCategories: [
-    { key: "info", name: "📌 INFO", mustHaveChannels: ["welcome", "rules", "announcements"] },
-    { key: "community", name: "💬 COMMUNITY", mustHaveChannels: ["general", "media", "memes", "suggestions"] },
-    { key: "support", name: "🆘 SUPPORT", mustHaveChannels: ["help", "tickets"] },
-    { key: "bots", name: "🤖 BOTS", mustHaveChannels: ["bot-commands", "bot-logs"] },
-    { key: "staff", name: "🛡️ STAFF", mustHaveChannels: ["staff-chat", "mod-logs"] },
-    { key: "voice", name: "🔊 VOICE", mustHaveChannels: ["General VC", "AFK"] }
+    {
+      key: "info", name: "📌 INFO", he: "📌 מידע",
+      mustHaveChannels: [
+        { key: "welcome", name: "welcome", he: "ברוכים-הבאים" },
+        { key: "rules", name: "rules", he: "חוקים" },
+        { key: "announcements", name: "announcements", he: "הכרזות" },
+        { key: "roles", name: "roles", he: "תפקידים" }
+      ]
+    },
+    {
+      key: "community", name: "💬 COMMUNITY", he: "💬 קהילה",
+      mustHaveChannels: [
+        { key: "general", name: "general", he: "כללי" },
+        { key: "media", name: "media", he: "מדיה" },
+        { key: "memes", name: "memes", he: "ממים" },
+        { key: "suggestions", name: "suggestions", he: "הצעות" }
+      ]
+    },
+    {
+      key: "support", name: "🆘 SUPPORT", he: "🆘 תמיכה",
+      mustHaveChannels: [
+        { key: "help", name: "help", he: "עזרה" },
+        { key: "tickets", name: "tickets", he: "פניות" }
+      ]
+    },
+    {
+      key: "bots", name: "🤖 BOTS", he: "🤖 בוטים",
+      mustHaveChannels: [
+        { key: "bot-commands", name: "bot-commands", he: "פקודות-בוטים" },
+        { key: "bot-logs", name: "bot-logs", he: "לוג-בוטים" }
+      ]
+    },
+    {
+      key: "staff", name: "🛡️ STAFF", he: "🛡️ צוות",
+      mustHaveChannels: [
+        { key: "staff-chat", name: "staff-chat", he: "שיחת-צוות" },
+        { key: "mod-logs", name: "mod-logs", he: "לוג-ניהול" }
+      ]
+    },
+    {
+      key: "voice", name: "🔊 VOICE", he: "🔊 קול",
+      mustHaveChannels: [
+        { key: "vc_general-vc", name: "General VC", he: "שיחה כללית", type: "voice" },
+        { key: "vc_afk", name: "AFK", he: "לא פעילים", type: "voice" }
+      ]
+    }
   ],
   requiredRoles: [
-    { key: "owner", name: "Owner", permPack: "owner" },
-    { key: "admin", name: "Admin", permPack: "admin" },
-    { key: "mod", name: "Moderator", permPack: "mod" },
-    { key: "helper", name: "Helper", permPack: "helper" },
-    { key: "member", name: "Member", permPack: "member" },
-    { key: "verified", name: "Verified", permPack: "verified" },
-    { key: "bots", name: "Bots", permPack: "member" }
+    { key: "owner", name: "Owner", he: "בעלים", permPack: "owner" },
+    { key: "admin", name: "Admin", he: "מנהל", permPack: "admin" },
+    { key: "mod", name: "Moderator", he: "מודרטור", permPack: "mod" },
+    { key: "helper", name: "Helper", he: "עוזר", permPack: "helper" },
+    { key: "member", name: "Member", he: "חבר", permPack: "member" },
+    { key: "verified", name: "Verified", he: "מאומת", permPack: "verified" },
+    { key: "bots", name: "Bots", he: "בוטים", permPack: "member" }
   ],
   pingRoles: [
-    { key: "ping_giveaways", name: "Giveaways Ping", permPack: "ping" },
-    { key: "ping_events", name: "Events Ping", permPack: "ping" }
+    { key: "ping_giveaways", name: "Giveaways Ping", he: "פינג הגרלות", permPack: "ping" },
+    { key: "ping_events", name: "Events Ping", he: "פינג אירועים", permPack: "ping" }
+  ],
+  // Self-assign menu for the ping roles, posted in #roles when the model made no menus
+  pingMenu: {
+    en: { title: "🔔 Notification roles", description: "Pick the pings you want. Click again to remove one." },
+    he: { title: "🔔 תפקידי התראות", description: "בחרו את הפינגים שתרצו לקבל. לחיצה נוספת מסירה." }
+  },
+  // Posted when the model didn't write a message for that channel; {server} is the blueprint name
+  starterMessages: [
+    {
+      channelKey: "welcome",
+      en: { title: "👋 Welcome!", description: "Welcome to **{server}**! Read the rules, pick your roles and say hi in the general chat." },
+      he: { title: "👋 ברוכים הבאים!", description: "ברוכים הבאים ל-**{server}**! קראו את החוקים, בחרו תפקידים ותגידו שלום בצ'אט הכללי." }
+    },
+    {
+      channelKey: "rules",
+      en: { title: "📜 Server Rules", description: "1) Be respectful\n2) No spam or scams\n3) No NSFW\n4) Keep each channel on topic\n5) Listen to staff" },
+      he: { title: "📜 חוקי השרת", description: "1) שמרו על כבוד הדדי\n2) בלי ספאם והונאות\n3) בלי תוכן למבוגרים\n4) שמרו על נושא הערוץ\n5) הקשיבו לצוות" }
+    }
   ]
 };
 
-// ==========================
-// Ollama Call (safe)
-// ==========================
-async function callOllama(systemPrompt, userPrompt) {
-  const r = await fetch(OLLAMA_URL, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      model: OLLAMA_MODEL,
-      prompt: `${systemPrompt}\n\nUSER PROMPT:\n${userPrompt}`,
-      stream: false
-    })
-  });
-
-  const text = await r.text();
-  if (!r.ok) throw new Error("Ollama HTTP error: " + text);
+// EN+HE keeps channel and role names short: only categories carry both names
+function skeletonName(item, language, bilingual = false) {
+  if (language === "HE") return item.he;
+  if (language === "EN+HE" && bilingual) return `${item.name} | ${item.he.replace(/^[^\p{L}]+/u, "")}`;
+  return item.name;
+}
 
-  let data;
-  try { data = JSON.parse(text); } catch { throw new Error("Ollama returned non-JSON: " + text); }
+function skeletonMessage(sm, language, server) {
+  const text = (t) => ({ title: t.title, description: t.description.replace("{server}", server) });
+  const main = language === "HE" ? sm.he : sm.en;
+  const msg = { channelKey: sm.channelKey, type: "embed", ...text(main), content: "" };
+  if (language === "EN+HE") msg.he = { ...text(sm.he), content: "" };
+  return msg;
+}
 
-  if (!data || typeof data.response !== "string") {
-    console.log("DEBUG OLLAMA RAW:", data);
-    throw new Error("Ollama returned invalid response (missing response string)");
-  }
+// ==========================
+// Model Call (safe)
+// ==========================
+async function callModel(systemPrompt, userPrompt, opts = {}) {
+  return provider.generate(systemPrompt, userPrompt, opts);
+}
 
-  return data.response;
+// Sums token counts over every model call of one request.
+// call() returns the onTokens callback for a single call (its counts are running totals).
+function tokenMeter(onChange = () => {}) {
+  const totals = { prompt: 0, output: 0 };
+  return {
+    totals,
+    call() {
+      const last = { prompt: 0, output: 0 };
+      return ({ prompt, output }) => {
+        for (const [k, v] of Object.entries({ prompt, output })) {
+          if (v === undefined) continue;
+          totals[k] += v - last[k];
+          last[k] = v;
+        }
+        onChange({ ...totals }, prompt !== undefined);
+      };
+    }
+  };
 }
 
 // ==========================
-// JSON extraction (safe)
+// JSON parsing (structured output + repair + re-ask)
 // ==========================
-function extractJSON(rawText) {
-  if (!rawText || typeof rawText !== "string") throw new Error("Model returned empty response");
-
-  const start = rawText.indexOf("{");
-  const end = rawText.lastIndexOf("}");
-  if (start === -1 || end === -1) {
-    console.log("MODEL OUTPUT (no JSON):", rawText);
-    throw new Error("Model did not return JSON");
-  }
+function outputFormat(task) {
+  if (STRUCTURED_OUTPUT === "off") return null;
+  if (STRUCTURED_OUTPUT === "json") return "json";
+  return OUTPUT_SCHEMAS[task] || "json";
+}
+
+// Structured output first, then local repair, then one targeted re-ask with the parse error.
+// hooks: { onPhase, meter, signal } (all optional; used by the streaming route)
+async function generateJSON(systemPrompt, userPrompt, task, hooks = {}) {
+  const { onPhase = () => {}, meter = null, signal = null } = hooks;
+  const opts = () => ({ task, format: outputFormat(task), signal, onTokens: meter?.call() });
+  const raw = await callModel(systemPrompt, userPrompt, opts());
 
-  const jsonString = rawText.substring(start, end + 1);
+  onPhase({ phase: "parsing" });
   try {
-    return JSON.parse(jsonString);
+    return parseModelJSON(raw);
   } catch (e) {
-    console.log("MODEL OUTPUT (bad JSON):", rawText);
-    throw new Error("Failed to parse model JSON");
+    onPhase({ phase: "repairing", error: e.message });
+    const reask =
+      `${userPrompt}\n\nYour previous reply could not be parsed (${e.message}).\n` +
+      `Previous reply:\n${String(raw || "").slice(0, 4000)}\n\n` +
+      `Return ONLY the corrected JSON object. No markdown. No explanation.`;
+    const fixed = await callModel(systemPrompt, reask, opts());
+    onPhase({ phase: "parsing" });
+    return parseModelJSON(fixed);
   }
 }
 
 // ==========================
 // Normalizers / defaults
 // ==========================
-function normalizeChannelName(name) {
-  return String(name || "")
-    .trim()
-    .toLowerCase()
-    .replace(/\s+/g, "-")
-    .replace(/[^a-z0-9\-]/g, "-")
-    .replace(/\-+/g, "-")
-    .replace(/^\-|\-$/g, "")
-    .slice(0, 90);
+function normalizeOverwrites(list) {
+  return (Array.isArray(list) ? list : []).map((ow) => ({
+    target: ow?.target === "@everyone" ? "@everyone" : "",
+    targetRoleKey: String(ow?.targetRoleKey || ""),
+    allow: Array.isArray(ow?.allow) ? ow.allow.map(String) : [],
+    deny: Array.isArray(ow?.deny) ? ow.deny.map(String) : []
+  }));
+}
+
+// Title/description/content/footer/fields of a message or its Hebrew version
+function messageText(m) {
+  const out = {
+    title: String(m.title || ""),
+    description: String(m.description || ""),
+    content: String(m.content || "")
+  };
+  if (m.footer) out.footer = String(m.footer);
+  const fields = (Array.isArray(m.fields) ? m.fields : [])
+    .map(f => ({ name: String(f?.name || ""), value: String(f?.value || ""), inline: !!f?.inline }))
+    .filter(f => f.name.trim() && f.value.trim())
+    .slice(0, 25);
+  if (fields.length) out.fields = fields;
+  return out;
 }
 
 function ensureDefaults(bp) {
   bp.name = String(bp.name || "Advanced Server").slice(0, 80);
-  bp.language = ["EN", "HE", "EN+HE"].includes(bp.language) ? bp.language : "EN";
+  bp.language = LANGUAGES.includes(bp.language) ? bp.language : "EN";
   bp.theme = String(bp.theme || "community").slice(0, 80);
 
   bp.roles = Array.isArray(bp.roles) ? bp.roles : [];
   bp.categories = Array.isArray(bp.categories) ? bp.categories : [];
   bp.messages = Array.isArray(bp.messages) ? bp.messages : [];
+  bp.roleMenus = Array.isArray(bp.roleMenus) ? bp.roleMenus : [];
 
   // roles
   bp.roles = bp.roles.map((r, i) => ({
     key: String(r.key || `role_${i}`),
     name: String(r.name || `Role ${i}`),
     color: String(r.color || "#95a5a6"),
-    permPack: ["owner","admin","mod","helper","verified","member","ping"].includes(r.permPack) ? r.permPack : "member",
+    permPack: PERM_PACK_NAMES.includes(r.permPack) ? r.permPack : "member",
+    permissions: Array.isArray(r.permissions) ? r.permissions.map(String) : [],
     hoist: typeof r.hoist === "boolean" ? r.hoist : false,
     mentionable: typeof r.mentionable === "boolean" ? r.mentionable : false
   }));
@@ -126,29 +253,123 @@ function ensureDefaults(bp) {
     const cat = {
       key: String(c.key || `cat_${i}`),
       name: String(c.name || `Category ${i}`),
-      overwrites: Array.isArray(c.overwrites) ? c.overwrites : [],
+      overwrites: normalizeOverwrites(c.overwrites),
       channels: Array.isArray(c.channels) ? c.channels : []
     };
 
-    cat.channels = cat.channels.map((ch, j) => ({
-      type: ch.type === "voice" ? "voice" : "text",
-      key: String(ch.key || `ch_${i}_${j}`),
-      name: ch.type === "voice" ? String(ch.name || `Voice ${j}`) : normalizeChannelName(ch.name || `channel-${j}`),
-      topic: String(ch.topic || ""),
-      slowmode: Number.isFinite(Number(ch.slowmode)) ? Number(ch.slowmode) : 0
-    }));
+    cat.channels = cat.channels.map((ch, j) => {
+      const type = CHANNEL_TYPES.includes(ch.type) ? ch.type : "text";
+      const out = {
+        type,
+        key: String(ch.key || `ch_${i}_${j}`),
+        name: isTextLike(type) ? normalizeChannelName(ch.name || `channel-${j}`) : String(ch.name || `Voice ${j}`),
+        topic: String(ch.topic || ""),
+        slowmode: Number.isFinite(Number(ch.slowmode)) ? Number(ch.slowmode) : 0,
+        overwrites: normalizeOverwrites(ch.overwrites)
+      };
+
+      if (VOICE_TYPES.includes(type)) {
+        // The validator's range; the bot lowers bitrate to what the server's boost level allows
+        out.bitrate = Math.min(LIMITS.bitrateMax, Math.max(LIMITS.bitrateMin, Number(ch.bitrate) || 64000));
+        out.userLimit = Math.min(type === "stage" ? LIMITS.stageUserLimit : LIMITS.voiceUserLimit, Math.max(0, Number(ch.userLimit) || 0));
+      }
+      if (type === "forum") {
+        out.tags = (Array.isArray(ch.tags) ? ch.tags : []).slice(0, 20).map(t => ({
+          name: String(t?.name || t || "").slice(0, 20),
+          emoji: String(t?.emoji || ""),
+          moderated: !!t?.moderated
+        })).filter(t => t.name);
+      }
+
+      return out;
+    });
 
     return cat;
   });
 
-  // messages
-  bp.messages = bp.messages.map((m) => ({
-    channelKey: String(m.channelKey || ""),
-    type: m.type === "text" ? "text" : "embed",
-    title: String(m.title || ""),
-    description: String(m.description || ""),
-    content: String(m.content || "")
-  }));
+  // afk channel (must point at a voice channel)
+  const voiceKeys = bp.categories.flatMap(c => c.channels).filter(ch => ch.type === "voice").map(ch => ch.key);
+  if (bp.afk && voiceKeys.includes(bp.afk.channelKey)) {
+    bp.afk = {
+      channelKey: String(bp.afk.channelKey),
+      timeout: AFK_TIMEOUTS.includes(Number(bp.afk.timeout)) ? Number(bp.afk.timeout) : 300
+    };
+  } else {
+    delete bp.afk;
+  }
+
+  // messages (rich embed parts are kept only when set, so plain messages stay plain)
+  bp.messages = bp.messages.map((m) => {
+    const out = {
+      channelKey: String(m.channelKey || ""),
+      type: m.type === "text" ? "text" : "embed",
+      ...messageText(m)
+    };
+    if (out.type === "text") {
+      delete out.footer;
+      delete out.fields;
+    } else {
+      if (/^#[0-9a-f]{6}$/i.test(String(m.color || ""))) out.color = String(m.color);
+      for (const field of ["thumbnail", "image"]) {
+        if (/^https?:\/\//i.test(String(m[field] || ""))) out[field] = String(m[field]);
+      }
+    }
+    if (typeof m.pin === "boolean") out.pin = m.pin;
+    const buttons = (Array.isArray(m.buttons) ? m.buttons : [])
+      .map(b => ({ label: String(b?.label || "").slice(0, 80), url: String(b?.url || "") }))
+      .filter(b => b.label && /^https?:\/\//i.test(b.url))
+      .slice(0, 5);
+    if (buttons.length) out.buttons = buttons;
+    if (m.he && typeof m.he === "object") out.he = messageText(m.he);
+    return out;
+  });
+
+  // role menus
+  bp.roleMenus = bp.roleMenus.map((menu) => ({
+    channelKey: String(menu?.channelKey || ""),
+    roles: [...new Set((Array.isArray(menu?.roles) ? menu.roles : []).map(String))].slice(0, 25),
+    style: ROLE_MENU_STYLES.includes(menu?.style) ? menu.style : "buttons",
+    title: String(menu?.title || ""),
+    description: String(menu?.description || "")
+  })).filter(menu => menu.roles.length);
+
+  // verification gate (its category overwrites are generated here, so plans and diffs show them)
+  if (bp.verification && typeof bp.verification === "object") {
+    const v = bp.verification;
+    bp.verification = {
+      enabled: v.enabled !== false,
+      channelKey: String(v.channelKey || "rules"),
+      roleKey: String(v.roleKey || "verified"),
+      memberRoleKey: String(v.memberRoleKey || ""),
+      title: String(v.title || ""),
+      description: String(v.description || ""),
+      buttonLabel: String(v.buttonLabel || "").slice(0, 80)
+    };
+    applyVerificationGate(bp);
+  } else {
+    delete bp.verification;
+  }
+
+  // ticket panel (staff default to the blueprint's helper/mod/admin roles, transcripts to #mod-logs)
+  if (bp.tickets && typeof bp.tickets === "object") {
+    const t = bp.tickets;
+    const channelKeys = new Set(bp.categories.flatMap(c => c.channels).map(ch => ch.key));
+    const staffRoleKeys = Array.isArray(t.staffRoleKeys) && t.staffRoleKeys.length
+      ? t.staffRoleKeys
+      : bp.roles.filter(r => ["helper", "mod", "admin"].includes(r.permPack)).map(r => r.key);
+    bp.tickets = {
+      enabled: t.enabled !== false,
+      channelKey: String(t.channelKey || "tickets"),
+      mode: TICKET_MODES.includes(t.mode) ? t.mode : "channel",
+      staffRoleKeys: [...new Set(staffRoleKeys.map(String))],
+      logChannelKey: String(t.logChannelKey || ["mod-logs", "mod_logs"].find(k => channelKeys.has(k)) || ""),
+      title: String(t.title || ""),
+      description: String(t.description || ""),
+      buttonLabel: String(t.buttonLabel || "").slice(0, 80)
+    };
+  } else {
+    delete bp.tickets;
+  }
 
   return bp;
 }
@@ -161,37 +382,43 @@ function countChannels(bp) {
 }
 
 function hasGeneralChat(bp) {
-  // must include a text channel named "general" or "general-chat"
+  // must include a text channel named "general" or "general-chat" (or the skeleton's, in any language)
   for (const c of bp.categories) {
     for (const ch of c.channels || []) {
-      if (ch.type === "text" && (ch.name === "general" || ch.name === "general-chat")) return true;
+      if (ch.type === "text" && (ch.key === "general" || ["general", "general-chat", "כללי"].includes(ch.name))) return true;
     }
   }
   return false;
 }
 
-function validateBlueprint(bp) {
+// Layout requirements for generated servers (on top of the shared schema)
+function checkLayoutRequirements(bp) {
   const errors = [];
 
   const roleCount = bp.roles.length;
   const channelCount = countChannels(bp);
 
-  if (roleCount < 6) errors.push(`Too few roles (${roleCount}). Need >= 6.`);
-  if (bp.categories.length < 4) errors.push(`Too few categories (${bp.categories.length}). Need >= 4.`);
-  if (channelCount < 10) errors.push(`Too few channels (${channelCount}). Need >= 10.`);
-  if (!hasGeneralChat(bp)) errors.push(`Missing general chat channel (general or general-chat).`);
+  if (roleCount < 6) errors.push({ path: "roles", message: `Too few roles (${roleCount}). Need >= 6.` });
+  if (bp.categories.length < 4) errors.push({ path: "categories", message: `Too few categories (${bp.categories.length}). Need >= 4.` });
+  if (channelCount < 10) errors.push({ path: "categories[].channels", message: `Too few channels (${channelCount}). Need >= 10.` });
+  if (!hasGeneralChat(bp)) errors.push({ path: "categories[].channels", message: `Missing general chat channel (general or general-chat).` });
 
   return errors;
 }
 
+function validateBlueprint(bp) {
+  return [...validateBlueprintSchema(bp), ...checkLayoutRequirements(bp)];
+}
+
 function mergeRequiredSkeleton(bp) {
   // Ensure baseline structure exists. Model can add more.
+  const lang = bp.language;
   const roleKeys = new Set(bp.roles.map(r => r.key));
   for (const rr of TEMPLATE_PACK.requiredRoles) {
     if (!roleKeys.has(rr.key)) {
       bp.roles.push({
         key: rr.key,
-        name: rr.name,
+        name: skeletonName(rr, lang),
         color: rr.key === "owner" ? "#f1c40f" : rr.key === "admin" ? "#e74c3c" : rr.key === "mod" ? "#3498db" : "#95a5a6",
         permPack: rr.permPack,
         hoist: ["owner","admin","mod"].includes(rr.key),
@@ -204,7 +431,7 @@ function mergeRequiredSkeleton(bp) {
     if (!roleKeys.has(pr.key)) {
       bp.roles.push({
         key: pr.key,
-        name: pr.name,
+        name: skeletonName(pr, lang),
         color: pr.key.includes("give") ? "#1abc9c" : "#e67e22",
         permPack: "ping",
         hoist: false,
@@ -216,40 +443,79 @@ function mergeRequiredSkeleton(bp) {
   const catKeys = new Set(bp.categories.map(c => c.key));
   for (const rc of TEMPLATE_PACK.requiredCategories) {
     if (!catKeys.has(rc.key)) {
-      bp.categories.push({ key: rc.key, name: rc.name, overwrites: [], channels: [] });
+      bp.categories.push({ key: rc.key, name: skeletonName(rc, lang, true), overwrites: [], channels: [] });
     }
   }
 
-  // Ensure must-have channels exist in each required category
+  // Ensure must-have channels exist in each required category (matched by key or by either name)
+  const allKeys = new Set(bp.categories.flatMap(c => c.channels || []).map(ch => ch.key));
   for (const req of TEMPLATE_PACK.requiredCategories) {
     const cat = bp.categories.find(c => c.key === req.key);
     if (!cat) continue;
 
-    const chNames = new Set((cat.channels || []).map(ch => ch.type === "voice" ? ch.name : ch.name));
+    const chNames = new Set((cat.channels || []).map(ch => ch.name));
     for (const want of req.mustHaveChannels) {
-      if (chNames.has(want) || chNames.has(normalizeChannelName(want))) continue;
-
-      if (req.key === "voice") {
-        cat.channels.push({
-          type: "voice",
-          key: `vc_${normalizeChannelName(want)}`,
-          name: want,
-          topic: "",
-          slowmode: 0
-        });
-      } else {
-        const nm = want === "general" ? "general" : normalizeChannelName(want);
-        cat.channels.push({
-          type: "text",
-          key: nm,
-          name: nm,
-          topic: "",
-          slowmode: want === "general" ? 2 : 0
-        });
-      }
+      const voice = want.type === "voice";
+      const names = voice ? [want.name, want.he] : [want.name, want.he].map(normalizeChannelName);
+      if (allKeys.has(want.key) || names.some(n => chNames.has(n))) continue;
+
+      cat.channels.push({
+        type: voice ? "voice" : "text",
+        key: want.key,
+        name: voice ? skeletonName(want, lang) : normalizeChannelName(skeletonName(want, lang)),
+        topic: "",
+        slowmode: want.key === "general" ? 2 : 0
+      });
+      allKeys.add(want.key);
     }
   }
 
+  // Starter messages in the blueprint's language, unless the model wrote its own
+  const messaged = new Set(bp.messages.map(m => m.channelKey));
+  for (const sm of TEMPLATE_PACK.starterMessages) {
+    if (allKeys.has(sm.channelKey) && !messaged.has(sm.channelKey)) bp.messages.push(skeletonMessage(sm, lang, bp.name));
+  }
+
+  // Members get the ping roles from a menu in #roles
+  const rolesChannel = bp.categories.flatMap(c => c.channels).find(ch => ch.key === "roles" || ch.name === skeletonName({ name: "roles", he: "תפקידים" }, lang));
+  const pingKeys = bp.roles.filter(r => r.permPack === "ping").map(r => r.key).slice(0, 25);
+  if (!bp.roleMenus.length && rolesChannel && pingKeys.length) {
+    const text = lang === "HE" ? TEMPLATE_PACK.pingMenu.he : TEMPLATE_PACK.pingMenu.en;
+    bp.roleMenus.push({
+      channelKey: rolesChannel.key,
+      roles: pingKeys,
+      style: "buttons",
+      title: lang === "EN+HE" ? `${text.title} | ${TEMPLATE_PACK.pingMenu.he.title.replace(/^[^\p{L}]+/u, "")}` : text.title,
+      description: lang === "EN+HE" ? `${text.description}\n${TEMPLATE_PACK.pingMenu.he.description}` : text.description
+    });
+  }
+  if (rolesChannel && !rolesChannel.overwrites?.length) {
+    rolesChannel.overwrites = [{ target: "@everyone", targetRoleKey: "", allow: [], deny: ["SendMessages"] }];
+  }
+
+  // #tickets holds the "Open ticket" panel unless the model configured (or turned off) tickets itself
+  const ticketsChannel = bp.categories.find(c => c.key === "support")?.channels.find(ch => ch.key === "tickets");
+  if (ticketsChannel && bp.tickets === undefined) bp.tickets = { enabled: true, channelKey: "tickets" };
+  if (ticketsChannel && bp.tickets?.channelKey === "tickets" && !ticketsChannel.overwrites?.length) {
+    ticketsChannel.overwrites = [{ target: "@everyone", targetRoleKey: "", allow: [], deny: ["SendMessages"] }];
+  }
+
+  // Use the skeleton AFK channel unless the model picked one
+  if (!bp.afk) {
+    const afk = bp.categories.find(c => c.key === "voice")?.channels.find(ch => ch.type === "voice" && (ch.key === "vc_afk" || /afk/i.test(ch.name)));
+    if (afk) bp.afk = { channelKey: afk.key, timeout: 300 };
+  }
+
+  // Announcements are read-only except for staff
+  const announcements = bp.categories.find(c => c.key === "info")?.channels.find(ch => ch.key === "announcements");
+  if (announcements && !announcements.overwrites?.length) {
+    announcements.overwrites = [
+      { target: "@everyone", targetRoleKey: "", allow: [], deny: ["SendMessages"] },
+      { target: "", targetRoleKey: "mod", allow: ["SendMessages"], deny: [] },
+      { target: "", targetRoleKey: "admin", allow: ["SendMessages"], deny: [] }
+    ];
+  }
+
   // Staff category permissions (placeholder overwrites by roleKey)
   const staff = bp.categories.find(c => c.key === "staff");
   if (staff) {
@@ -264,8 +530,7 @@ function mergeRequiredSkeleton(bp) {
   return bp;
 }
 
-async function generateAdvancedBlueprint(userPrompt) {
-  const system = `
+const BLUEPRINT_SYSTEM_PROMPT = `
 You generate an ADVANCED Discord server blueprint JSON for a server-maker bot.
 
 Return ONLY valid JSON with this exact structure:
@@ -275,7 +540,7 @@ Return ONLY valid JSON with this exact structure:
   "language": "EN" | "HE" | "EN+HE",
   "theme": string,
   "roles": [
-    { "key": string, "name": string, "color": "#RRGGBB", "permPack": "...", "hoist": boolean, "mentionable": boolean }
+    { "key": string, "name": string, "color": "#RRGGBB", "permPack": "...", "permissions": [string], "hoist": boolean, "mentionable": boolean }
   ],
   "categories": [
     {
@@ -285,12 +550,29 @@ Return ONLY valid JSON with this exact structure:
         { "target": string, "targetRoleKey": string, "allow": [string], "deny": [string] }
       ],
       "channels": [
-        { "type": "text" | "voice", "key": string, "name": string, "topic": string, "slowmode": number }
+        {
+          "type": "text" | "voice" | "stage" | "announcement" | "forum",
+          "key": string, "name": string, "topic": string, "slowmode": number,
+          "bitrate": number, "userLimit": number,
+          "tags": [{ "name": string, "emoji": string, "moderated": boolean }],
+          "overwrites": [
+            { "target": string, "targetRoleKey": string, "allow": [string], "deny": [string] }
+          ]
+        }
       ]
     }
   ],
+  "afk": { "channelKey": string, "timeout": 60 | 300 | 900 | 1800 | 3600 },
+  "verification": { "enabled": boolean, "channelKey": string, "roleKey": string, "memberRoleKey": string, "title": string, "description": string, "buttonLabel": string },
+  "tickets": { "enabled": boolean, "channelKey": string, "mode": "channel" | "thread", "staffRoleKeys": [string], "logChannelKey": string, "title": string, "description": string, "buttonLabel": string },
+  "roleMenus": [
+    { "channelKey": string, "roles": [string], "style": "buttons" | "select", "title": string, "description": string }
+  ],
   "messages": [
-    { "channelKey": string, "type": "embed" | "text", "title": string, "description": string, "content": string }
+    { "channelKey": string, "type": "embed" | "text", "title": string, "description": string, "content": string,
+      "color": "#RRGGBB", "fields": [{ "name": string, "value": string, "inline": boolean }], "footer": string,
+      "thumbnail": string, "image": string, "pin": boolean, "buttons": [{ "label": string, "url": string }],
+      "he": { "title": string, "description": string, "content": string, "footer": string, "fields": [...] } }
   ]
 }
 
@@ -298,11 +580,44 @@ HARD REQUIREMENTS:
 - 6 to 12 roles
 - 4 to 8 categories
 - 10 to 25 total channels
-- MUST include a text channel named "general" (or "general-chat")
+- MUST include a text channel with key "general" (named "general", "general-chat" or "כללי")
 - MUST include categories: info, community, support, staff, bots, voice
 - staff category MUST be staff-only (use overwrites with target "@everyone" deny ViewChannel and allow for helper/mod/admin via targetRoleKey)
-- channel names for text MUST be lowercase-with-dashes
+- channel names for text MUST be lowercase-with-dashes (Hebrew letters are fine)
 - include 2-4 voice channels under "voice" category (General VC, Music, AFK etc.)
+- voice/stage channels may set bitrate (${LIMITS.bitrateMin}-96000; up to ${LIMITS.bitrateMax} on boosted servers) and userLimit (0 = unlimited); only forum channels use tags
+- use "announcement" for news feeds and "forum" for Q&A/feedback boards when it fits the server
+- set "afk" to the AFK voice channel key
+- role "permissions" adds extra Discord permissions on top of permPack (usually [])
+- channel "overwrites" are for channel-specific access (e.g. read-only announcements, a verify channel only unverified members see); otherwise leave [] to inherit the category
+- permission names MUST be Discord.js PermissionFlagsBits names (ViewChannel, SendMessages, ReadMessageHistory, Connect, Speak, ManageMessages, ...)
+
+LANGUAGE:
+- "EN": everything in English
+- "HE": names, topics and messages in Hebrew (text channel names are Hebrew words joined with dashes, e.g. "חוקים")
+- "EN+HE": names in English, category names in both ("📌 INFO | מידע"), topics in both, and every message also has "he" with the Hebrew title/description/content
+- keys are ids and stay English lowercase in every language
+- use "he" on messages only for "EN+HE"
+
+MESSAGES:
+- mention blueprint objects by key: {{role:ping_events}}, {{channel:rules}} (the bot turns them into real mentions)
+- color, fields, footer, thumbnail and image are for embeds only; thumbnail/image/buttons need full https URLs (leave them out if you have none)
+- "pin": true for rules and other messages members should find later
+- "buttons" are link buttons (max 5)
+
+VERIFICATION (only when the prompt asks for verification / a rules gate):
+- "verification": { "enabled": true, "channelKey": "rules", "roleKey": "verified", "memberRoleKey": "member" }
+- the bot posts an "I accept the rules" button there; members who press it get the roles
+- unverified members only see the category holding that channel (overwrites are generated for you)
+
+TICKETS:
+- "tickets": { "enabled": true, "channelKey": "tickets", "mode": "channel", "staffRoleKeys": ["helper", "mod", "admin"], "logChannelKey": "mod-logs" }
+- the bot posts an "Open ticket" button; each ticket is a private channel ("thread": a private thread) for the member and the staff roles
+- closed tickets are logged to "logChannelKey" with a transcript; set "enabled": false if the server shouldn't have tickets
+
+ROLE MENUS:
+- let members pick their own ping/hobby roles: "roles" are role keys (only permPack "ping" or "member" roles with no extra permissions, max 25)
+- put them in a read-only channel with key "roles"; use "select" for more than 10 roles
 
 DEFAULTS IF UNSURE:
 - topic = ""
@@ -313,59 +628,245 @@ DEFAULTS IF UNSURE:
 Only return JSON. No markdown. No explanation.
 `;
 
+// `language` (EN | HE | EN+HE) overrides whatever the model picks, so the skeleton matches
+async function generateAdvancedBlueprint(userPrompt, hooks = {}, language = null) {
+  const onPhase = hooks.onPhase || (() => {});
+  const system = BLUEPRINT_SYSTEM_PROMPT;
+  if (language) userPrompt += `\n\nLanguage: ${language}`;
+
+  const draft = async (prompt) => {
+    const bp = ensureDefaults(await generateJSON(system, prompt, "blueprint", hooks));
+    if (language) bp.language = language;
+    return ensureDefaults(mergeRequiredSkeleton(bp));
+  };
+
   // First attempt
-  const raw1 = await callOllama(system, userPrompt);
-  let bp = ensureDefaults(extractJSON(raw1));
-  bp = mergeRequiredSkeleton(bp);
-  bp = ensureDefaults(bp);
+  onPhase({ phase: "generating" });
+  let bp = await draft(userPrompt);
 
   // Validate + up to 2 expansions
   for (let i = 0; i < 2; i++) {
+    onPhase({ phase: "validating" });
     const errs = validateBlueprint(bp);
     if (errs.length === 0) return bp;
 
+    onPhase({ phase: "expanding", attempt: i + 1, of: 2, problems: errs.length });
     const expandPrompt =
-      `Your last JSON was missing requirements:\n- ${errs.join("\n- ")}\n\n` +
+      `Your last JSON had these problems (path: problem):\n- ${describeErrors(errs).join("\n- ")}\n\n` +
       `Please RETURN ONLY corrected JSON (same structure), EXPANDING the layout to meet ALL requirements.`;
 
-    const rawX = await callOllama(system, userPrompt + "\n\n" + expandPrompt);
-    bp = ensureDefaults(extractJSON(rawX));
-    bp = mergeRequiredSkeleton(bp);
-    bp = ensureDefaults(bp);
+    bp = await draft(userPrompt + "\n\n" + expandPrompt);
   }
 
   // Final return even if imperfect, but it should be good now
   return bp;
 }
 
+// One refinement turn: the model edits the given blueprint instead of starting over.
+// No skeleton merge here, so "drop memes" stays dropped; layout misses come back as warnings.
+async function refineBlueprint(current, instruction, hooks = {}) {
+  const onPhase = hooks.onPhase || (() => {});
+  const system = `${BLUEPRINT_SYSTEM_PROMPT}
+You are REVISING an existing blueprint, not writing a new one:
+- apply the CHANGE REQUEST and keep everything else as it is
+- keep the keys of existing roles, categories and channels so the bot can update them in place
+- the CHANGE REQUEST wins where it conflicts with the HARD REQUIREMENTS
+`;
+  const userPrompt = `CURRENT BLUEPRINT:\n${JSON.stringify(current)}\n\nCHANGE REQUEST:\n${instruction}`;
+
+  onPhase({ phase: "generating" });
+  let bp = ensureDefaults(await generateJSON(system, userPrompt, "blueprint", hooks));
+
+  onPhase({ phase: "validating" });
+  const errs = validateBlueprintSchema(bp);
+  if (errs.length) {
+    onPhase({ phase: "expanding", attempt: 1, of: 1, problems: errs.length });
+    const fixPrompt =
+      `Your last JSON had these problems (path: problem):\n- ${describeErrors(errs).join("\n- ")}\n\n` +
+      `Please RETURN ONLY the corrected JSON (same structure).`;
+    bp = ensureDefaults(await generateJSON(system, userPrompt + "\n\n" + fixPrompt, "blueprint", hooks));
+  }
+
+  return bp;
+}
+
 // ==========================
 // Routes
 // ==========================
-app.get("/", (req, res) => res.json({ ok: true, ai: "ollama", model: OLLAMA_MODEL, port: PORT }));
+app.get("/", (req, res) => res.json({ ok: true, ai: provider.name, model: provider.model, port: PORT }));
+
+function requestLanguage(language) {
+  if (language === undefined || language === null || language === "") return null;
+  if (!LANGUAGES.includes(language)) throw new Error(`language must be one of ${LANGUAGES.join(", ")}`);
+  return language;
+}
 
-app.post("/ai/blueprint", async (req, res) => {
+app.post("/ai/blueprint", limitGenerations, async (req, res) => {
   const { prompt } = req.body || {};
   if (!prompt) return res.status(400).json({ error: "Missing prompt" });
 
+  let language;
+  try { language = requestLanguage(req.body.language); } catch (e) { return res.status(400).json({ error: e.message }); }
+
   try {
-    const blueprint = await generateAdvancedBlueprint(prompt);
-    return res.json({ blueprint });
+    const blueprint = await generateAdvancedBlueprint(prompt, {}, language);
+
+    // Layout misses are tolerated after the retries; schema errors are not
+    const errors = validateBlueprintSchema(blueprint);
+    if (errors.length) return res.status(422).json({ error: "Generated blueprint failed validation", errors });
+
+    return res.json({ blueprint, warnings: checkLayoutRequirements(blueprint) });
   } catch (e) {
     return res.status(500).json({ error: e.message });
   }
 });
 
-app.post("/ai/edits", async (req, res) => {
+// Same as /ai/blueprint, streamed as NDJSON while the model works. One event per line:
+// { type: "phase", phase: generating | parsing | repairing | validating | expanding, attempt? }
+// { type: "tokens", prompt, output }   running totals over all model calls
+// { type: "done", blueprint, warnings, tokens } | { type: "error", error, errors? }
+const TOKEN_EVENT_MS = 500;
+
+app.post("/ai/blueprint/stream", limitGenerations, async (req, res) => {
   const { prompt } = req.body || {};
   if (!prompt) return res.status(400).json({ error: "Missing prompt" });
 
+  let language;
+  try { language = requestLanguage(req.body.language); } catch (e) { return res.status(400).json({ error: e.message }); }
+
+  res.setHeader("Content-Type", "application/x-ndjson");
+  res.setHeader("Cache-Control", "no-cache");
+  const send = (event) => res.write(JSON.stringify(event) + "\n");
+
+  // Stop generating if the client goes away
+  const controller = new AbortController();
+  res.on("close", () => controller.abort());
+
+  let lastTokensAt = 0;
+  const meter = tokenMeter((totals, final) => {
+    if (!final && Date.now() - lastTokensAt < TOKEN_EVENT_MS) return;
+    lastTokensAt = Date.now();
+    send({ type: "tokens", ...totals });
+  });
+
+  try {
+    const blueprint = await generateAdvancedBlueprint(prompt, {
+      onPhase: (p) => send({ type: "phase", ...p }),
+      meter,
+      signal: controller.signal
+    }, language);
+
+    const errors = validateBlueprintSchema(blueprint);
+    if (errors.length) send({ type: "error", error: "Generated blueprint failed validation", errors });
+    else send({ type: "done", blueprint, warnings: checkLayoutRequirements(blueprint), tokens: meter.totals });
+  } catch (e) {
+    if (!controller.signal.aborted) send({ type: "error", error: e.message });
+  }
+  res.end();
+});
+
+// Schema errors block refining and saving; layout misses are just warnings
+function checkBlueprintBody(blueprint, res) {
+  if (!blueprint || typeof blueprint !== "object" || Array.isArray(blueprint)) {
+    res.status(400).json({ error: "Missing blueprint" });
+    return false;
+  }
+  const errors = validateBlueprintSchema(blueprint);
+  if (errors.length) {
+    res.status(422).json({ error: "Blueprint failed validation", errors });
+    return false;
+  }
+  return true;
+}
+
+// Runs before limitGenerations, so a malformed request doesn't use up quota
+function checkRefineRequest(req, res, next) {
+  const { blueprint, instruction } = req.body || {};
+  if (!checkBlueprintBody(blueprint, res)) return;
+  if (typeof instruction !== "string" || !instruction.trim()) return res.status(400).json({ error: "Missing instruction" });
+  next();
+}
+
+app.post("/ai/blueprint/refine", checkRefineRequest, limitGenerations, async (req, res) => {
+  const { blueprint, instruction } = req.body;
+
+  try {
+    const current = ensureDefaults(blueprint);
+    const revised = await refineBlueprint(current, instruction.trim().slice(0, 1000));
+
+    const errors = validateBlueprintSchema(revised);
+    if (errors.length) return res.status(422).json({ error: "Refined blueprint failed validation", errors });
+
+    const diff = diffBlueprints(current, revised);
+    return res.json({ blueprint: revised, diff, changes: describeDiff(diff), warnings: checkLayoutRequirements(revised) });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+app.post("/ai/blueprint/validate", (req, res) => {
+  const { blueprint } = req.body || {};
+  if (!blueprint) return res.status(400).json({ error: "Missing blueprint" });
+
+  const errors = validateBlueprintSchema(blueprint);
+  const warnings = errors.length ? [] : checkLayoutRequirements(blueprint);
+  return res.json({ valid: errors.length === 0, errors, warnings });
+});
+
+app.post("/ai/blueprint/plan", (req, res) => {
+  const { blueprint, guild } = req.body || {};
+  if (!blueprint) return res.status(400).json({ error: "Missing blueprint" });
+  if (!guild) return res.status(400).json({ error: "Missing guild snapshot" });
+
+  try {
+    const bp = ensureDefaults(blueprint);
+    const plan = planBlueprint(bp, guild);
+    return res.json({ plan, errors: validateBlueprintSchema(bp) });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+});
+
+// Line-per-item view of the structure the bot sends with an edit prompt
+function describeGuildStructure(guild) {
+  if (!guild || typeof guild !== "object") return "";
+  const list = (items, max) => (Array.isArray(items) ? items : []).slice(0, max);
+  const line = (x, extra = "") =>
+    `- id=${x.id}${x.key ? ` key=${x.key}` : ""} name=${JSON.stringify(String(x.name || ""))}${extra}`;
+
+  return [
+    "ROLES (highest first):",
+    ...list(guild.roles, 250).map(r => line(r)),
+    "CATEGORIES:",
+    ...list(guild.categories, 100).map(c => line(c)),
+    "CHANNELS:",
+    ...list(guild.channels, 500).map(c => line(c, ` type=${c.type} category=${c.categoryId || "none"}`))
+  ].join("\n");
+}
+
+app.post("/ai/edits", limitGenerations, async (req, res) => {
+  const { prompt, guild } = req.body || {};
+  if (!prompt) return res.status(400).json({ error: "Missing prompt" });
+
+  const structure = describeGuildStructure(guild);
+  const references = structure
+    ? `
+SERVER STRUCTURE:
+${structure}
+
+Refer to existing roles, categories and channels by their id (or key) from SERVER STRUCTURE in
+roleName, channelName, categoryName, inCategoryName, aboveRoleName and aboveChannelName.
+Use plain names only for things that are being created or renamed (createChannelName, newName, create_role's roleName).
+`
+    : "";
+
   const system = `
 Convert user edit request into JSON:
 
 {
   "actions": [
     {
-      "action": "edit_role_color" | "rename_role" | "rename_channel" | "rename_category" | "create_channel" | "lock_channel" | "unlock_channel" | "set_slowmode",
+      "action": ${EDIT_ACTIONS.map(a => `"${a}"`).join(" | ")},
       "roleName": "",
       "channelName": "",
       "categoryName": "",
@@ -373,17 +874,42 @@ Convert user edit request into JSON:
       "color": "",
       "createChannelName": "",
       "inCategoryName": "",
-      "slowmode": 0
+      "slowmode": 0,
+      "topic": "",
+      "permPack": "",
+      "hoist": false,
+      "userLimit": 0,
+      "aboveRoleName": "",
+      "aboveChannelName": ""
     }
   ]
 }
 
+Fields per action:
+- edit_role_color: roleName, color (#RRGGBB)
+- rename_role: roleName, newName
+- create_role: roleName, color, permPack (${PERM_PACK_NAMES.join("|")}), hoist
+- delete_role: roleName
+- set_role_permpack: roleName, permPack
+- set_role_hoist: roleName, hoist
+- reorder_role: roleName, aboveRoleName (the role ends up directly above it)
+- rename_channel: channelName, newName
+- rename_category: categoryName, newName
+- create_channel: createChannelName, inCategoryName
+- create_voice_channel: createChannelName, inCategoryName, userLimit (0 = unlimited)
+- delete_channel: channelName
+- move_channel: channelName, inCategoryName
+- reorder_channel: channelName, aboveChannelName (same category)
+- set_topic: channelName, topic
+- grant_access / revoke_access: roleName and either categoryName or channelName
+- lock_channel / unlock_channel: channelName
+- set_slowmode: channelName, slowmode (seconds)
+${references}
 Return JSON only. If unsure return {"actions":[]}.
 `;
 
   try {
-    const raw = await callOllama(system, prompt);
-    const edits = extractJSON(raw);
+    const edits = await generateJSON(system, prompt, "edits");
     edits.actions = Array.isArray(edits.actions) ? edits.actions : [];
     return res.json({ edits });
   } catch (e) {
@@ -391,4 +917,91 @@ Return JSON only. If unsure return {"actions":[]}.
   }
 });
 
-app.listen(PORT, () => console.log(`✅ Local Ollama AI API running on http://localhost:${PORT}`));
\ No newline at end of file
+// ==========================
+// Blueprint library
+// ==========================
+// The guild comes from the (signed) X-Guild-Id header, never from the query or body.
+// A guild lists and changes only its own blueprints, and can also load shared ones (no owner).
+// Requests without a guild (scripts holding the API secret) see and change everything.
+function libraryEntry(req, res, { write = false } = {}) {
+  const entry = library.getEntry(req.params.id);
+  if (!entry) {
+    res.status(404).json({ error: "Blueprint not found" });
+    return null;
+  }
+  const guildId = req.actor.guildId;
+  if (guildId && entry.ownerGuildId !== guildId && (entry.ownerGuildId || write)) {
+    res.status(403).json({ error: entry.ownerGuildId ? "Blueprint belongs to another server" : "Shared blueprints are read-only" });
+    return null;
+  }
+  return entry;
+}
+
+app.get("/blueprints", (req, res) => {
+  const guildId = req.actor.guildId;
+  if (guildId && req.query.guildId && req.query.guildId !== guildId) {
+    return res.status(403).json({ error: "Can't list another server's blueprints" });
+  }
+  res.json({ blueprints: library.listBlueprints({ guildId: guildId || req.query.guildId, tag: req.query.tag }) });
+});
+
+app.get("/blueprints/:id", (req, res) => {
+  if (!libraryEntry(req, res)) return;
+  const found = library.getBlueprint(req.params.id, req.query.version);
+  if (!found) return res.status(404).json({ error: "Version not found" });
+  res.json(found);
+});
+
+app.post("/blueprints", (req, res) => {
+  const { blueprint, name, tags, note } = req.body || {};
+  if (!checkBlueprintBody(blueprint, res)) return;
+
+  const saved = library.createBlueprint({ blueprint, name, tags, ownerGuildId: req.actor.guildId || null, note });
+  res.status(201).json({ ...saved, warnings: checkLayoutRequirements(blueprint) });
+});
+
+app.put("/blueprints/:id", (req, res) => {
+  const entry = libraryEntry(req, res, { write: true });
+  if (!entry) return;
+
+  const { blueprint, name, tags, note } = req.body || {};
+  if (blueprint !== undefined && !checkBlueprintBody(blueprint, res)) return;
+
+  const previous = entry.versions.at(-1).blueprint;
+  const saved = library.updateBlueprint(entry.id, { blueprint, name, tags, note });
+  res.json({
+    ...saved,
+    diff: saved.versionAdded ? diffBlueprints(previous, blueprint) : null,
+    warnings: blueprint ? checkLayoutRequirements(blueprint) : []
+  });
+});
+
+app.delete("/blueprints/:id", (req, res) => {
+  const entry = libraryEntry(req, res, { write: true });
+  if (!entry) return;
+  library.deleteBlueprint(entry.id);
+  res.json({ ok: true });
+});
+
+app.get("/blueprints/:id/versions", (req, res) => {
+  if (!libraryEntry(req, res)) return;
+  res.json({ versions: library.listVersions(req.params.id) });
+});
+
+// ?from=&to= default to the previous and latest versions
+app.get("/blueprints/:id/diff", (req, res) => {
+  const entry = libraryEntry(req, res);
+  if (!entry) return;
+
+  const latest = entry.versions.at(-1).version;
+  const to = Number(req.query.to || latest);
+  const from = Number(req.query.from || to - 1);
+  const a = library.getBlueprint(entry.id, from);
+  const b = library.getBlueprint(entry.id, to);
+  if (!a || !b) return res.status(404).json({ error: "Version not found" });
+
+  res.json({ from, to, diff: diffBlueprints(a.blueprint, b.blueprint) });
+});
+
+if (!API_SECRET) console.warn("⚠️ API_SECRET is not set: requests are not authenticated. Set the same secret for the API and the bot.");
+app.listen(PORT, () => console.log(`✅ Local AI API (${provider.name}: ${provider.model}) running on http://localhost:${PORT}`));
\ No newline at end of file
@@ -0,0 +1,130 @@
+const fs = require("fs");
+const path = require("path");
+
+// ==========================
+// Blueprint library (JSON file store with version history)
+// ==========================
+// Every save of a changed blueprint adds a version; old versions are kept for diffs and rollbacks.
+
+const STORE_FILE = process.env.BLUEPRINT_STORE || path.join(__dirname, "data", "blueprints.json");
+const MAX_VERSIONS = 50;
+
+function readStore() {
+  if (!fs.existsSync(STORE_FILE)) return { nextId: 1, blueprints: {} };
+  return JSON.parse(fs.readFileSync(STORE_FILE, "utf8"));
+}
+// Temp file then rename, so a crash mid-write leaves the previous library intact
+function writeStore(store) {
+  fs.mkdirSync(path.dirname(STORE_FILE), { recursive: true });
+  const tmp = `${STORE_FILE}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(store, null, 2));
+  fs.renameSync(tmp, STORE_FILE);
+}
+
+// Ids come from URLs: only the store's own entries count, never "__proto__" or "constructor"
+function entryIn(store, id) {
+  return Object.hasOwn(store.blueprints, id) ? store.blueprints[id] : null;
+}
+
+function cleanTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || "").split(",");
+  return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))].slice(0, 20);
+}
+
+function summarize(entry) {
+  const latest = entry.versions.at(-1);
+  return {
+    id: entry.id,
+    name: entry.name,
+    tags: entry.tags,
+    ownerGuildId: entry.ownerGuildId,
+    version: latest.version,
+    createdAt: entry.createdAt,
+    updatedAt: entry.updatedAt
+  };
+}
+
+function listBlueprints({ guildId = null, tag = null } = {}) {
+  return Object.values(readStore().blueprints)
+    .filter(e => !guildId || e.ownerGuildId === guildId)
+    .filter(e => !tag || e.tags.includes(String(tag).toLowerCase()))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .map(summarize);
+}
+
+function getEntry(id) {
+  return entryIn(readStore(), id);
+}
+
+// Latest version unless `version` is given; null when either doesn't exist
+function getBlueprint(id, version = null) {
+  const entry = getEntry(id);
+  if (!entry) return null;
+  const v = version ? entry.versions.find(x => x.version === Number(version)) : entry.versions.at(-1);
+  if (!v) return null;
+  return { ...summarize(entry), version: v.version, note: v.note, blueprint: v.blueprint };
+}
+
+function createBlueprint({ blueprint, name, tags, ownerGuildId = null, note = "" }) {
+  const store = readStore();
+  const now = new Date().toISOString();
+  const id = store.nextId++;
+  const entry = {
+    id,
+    name: String(name || blueprint.name || `Blueprint ${id}`).slice(0, 100),
+    tags: cleanTags(tags),
+    ownerGuildId,
+    createdAt: now,
+    updatedAt: now,
+    versions: [{ version: 1, blueprint, note: String(note).slice(0, 200), createdAt: now }]
+  };
+  store.blueprints[id] = entry;
+  writeStore(store);
+  return summarize(entry);
+}
+
+// Returns { entry summary, versionAdded } or null if the id doesn't exist.
+// An identical blueprint doesn't add a version.
+function updateBlueprint(id, { blueprint, name, tags, note = "" }) {
+  const store = readStore();
+  const entry = entryIn(store, id);
+  if (!entry) return null;
+
+  const now = new Date().toISOString();
+  let versionAdded = false;
+  if (blueprint && JSON.stringify(blueprint) !== JSON.stringify(entry.versions.at(-1).blueprint)) {
+    entry.versions.push({ version: entry.versions.at(-1).version + 1, blueprint, note: String(note).slice(0, 200), createdAt: now });
+    entry.versions = entry.versions.slice(-MAX_VERSIONS);
+    versionAdded = true;
+  }
+  if (name !== undefined) entry.name = String(name || entry.name).slice(0, 100);
+  if (tags !== undefined) entry.tags = cleanTags(tags);
+  entry.updatedAt = now;
+
+  writeStore(store);
+  return { ...summarize(entry), versionAdded };
+}
+
+function deleteBlueprint(id) {
+  const store = readStore();
+  if (!entryIn(store, id)) return false;
+  delete store.blueprints[id];
+  writeStore(store);
+  return true;
+}
+
+function listVersions(id) {
+  const entry = getEntry(id);
+  if (!entry) return null;
+  return entry.versions.map(v => ({ version: v.version, name: v.blueprint.name, note: v.note, createdAt: v.createdAt }));
+}
+
+module.exports = {
+  listBlueprints,
+  getEntry,
+  getBlueprint,
+  createBlueprint,
+  updateBlueprint,
+  deleteBlueprint,
+  listVersions
+};
\ No newline at end of file
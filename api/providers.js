@@ -0,0 +1,181 @@
+const fs = require("fs");
+const path = require("path");
+const OpenAI = require("openai");
+const { readNDJSON } = require("../shared/ndjson");
+
+// ==========================
+// LLM Providers
+// ==========================
+// Every provider exposes: { name, model, generate(systemPrompt, userPrompt, opts) -> Promise<string> }
+// opts.task ("blueprint" | "edits") names the output (the offline stub picks its fixture by it).
+// opts.format is a JSON Schema object, "json", or null for free text.
+// opts.signal aborts the request. opts.onTokens({ prompt, output }) makes the provider stream
+// and report running output counts; the last call of a request includes the prompt count.
+
+const FIXTURES_DIR = path.join(__dirname, "fixtures");
+
+async function post(url, body, label, signal) {
+  const r = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+    signal
+  });
+  if (!r.ok) throw new Error(`${label} HTTP error: ` + await r.text());
+  return r;
+}
+
+async function postJSON(url, body, label, signal) {
+  const text = await (await post(url, body, label, signal)).text();
+  try { return JSON.parse(text); } catch { throw new Error(`${label} returned non-JSON: ` + text); }
+}
+
+// Shared by both Ollama endpoints; `pick` pulls the output text out of a response (or stream chunk)
+async function ollamaRequest(url, body, opts, pick, missing) {
+  if (!opts.onTokens) {
+    const data = await postJSON(url, { ...body, stream: false }, "Ollama", opts.signal);
+    if (typeof pick(data) !== "string") {
+      console.log("DEBUG OLLAMA RAW:", data);
+      throw new Error(`Ollama returned invalid response (missing ${missing})`);
+    }
+    return pick(data);
+  }
+
+  // Streaming: one NDJSON chunk per token, the final chunk carries the real counts
+  const r = await post(url, { ...body, stream: true }, "Ollama", opts.signal);
+  let text = "";
+  let count = 0;
+  for await (const part of readNDJSON(r.body)) {
+    if (part.error) throw new Error(`Ollama error: ${part.error}`);
+    text += pick(part) || "";
+    count++;
+    opts.onTokens(part.done ? { prompt: part.prompt_eval_count ?? 0, output: part.eval_count ?? count } : { output: count });
+  }
+  return text;
+}
+
+// Ollama /api/generate (single prompt)
+function ollamaGenerateProvider({ url, model }) {
+  return {
+    name: "ollama",
+    model,
+    async generate(systemPrompt, userPrompt, opts = {}) {
+      return ollamaRequest(url, {
+        model,
+        prompt: `${systemPrompt}\n\nUSER PROMPT:\n${userPrompt}`,
+        ...(opts.format ? { format: opts.format } : {})
+      }, opts, data => data?.response, "response string");
+    }
+  };
+}
+
+// Ollama /api/chat (system + user messages)
+function ollamaChatProvider({ url, model }) {
+  return {
+    name: "ollama-chat",
+    model,
+    async generate(systemPrompt, userPrompt, opts = {}) {
+      return ollamaRequest(url, {
+        model,
+        messages: [
+          { role: "system", content: systemPrompt },
+          { role: "user", content: userPrompt }
+        ],
+        ...(opts.format ? { format: opts.format } : {})
+      }, opts, data => data?.message?.content, "message content");
+    }
+  };
+}
+
+function openAIResponseFormat(opts) {
+  if (opts.format === "json") return { type: "json_object" };
+  if (opts.format) return { type: "json_schema", json_schema: { name: opts.task || "output", schema: opts.format } };
+  return undefined;
+}
+
+// Any OpenAI-compatible /v1/chat/completions server (OpenAI, LM Studio, vLLM, llama.cpp server)
+function openAICompatibleProvider({ baseURL, apiKey, model }) {
+  const client = new OpenAI({ baseURL, apiKey });
+  return {
+    name: "openai",
+    model,
+    async generate(systemPrompt, userPrompt, opts = {}) {
+      const params = {
+        model,
+        messages: [
+          { role: "system", content: systemPrompt },
+          { role: "user", content: userPrompt }
+        ],
+        response_format: openAIResponseFormat(opts)
+      };
+
+      if (opts.onTokens) {
+        const stream = await client.chat.completions.create(
+          { ...params, stream: true, stream_options: { include_usage: true } },
+          { signal: opts.signal }
+        );
+        let text = "";
+        let count = 0;
+        for await (const chunk of stream) {
+          const delta = chunk.choices?.[0]?.delta?.content;
+          if (delta) {
+            text += delta;
+            opts.onTokens({ output: ++count });
+          }
+          if (chunk.usage) opts.onTokens({ prompt: chunk.usage.prompt_tokens, output: chunk.usage.completion_tokens });
+        }
+        return text;
+      }
+
+      const completion = await client.chat.completions.create(params, { signal: opts.signal });
+
+      const content = completion.choices?.[0]?.message?.content;
+      if (typeof content !== "string") throw new Error("OpenAI-compatible server returned no message content");
+      return content;
+    }
+  };
+}
+
+// Deterministic offline provider: returns api/fixtures/<task>.json as the model output
+function stubProvider({ fixturesDir }) {
+  return {
+    name: "stub",
+    model: "fixtures",
+    async generate(systemPrompt, userPrompt, opts = {}) {
+      const file = path.join(fixturesDir, `${opts.task || "blueprint"}.json`);
+      if (!fs.existsSync(file)) throw new Error(`Stub provider has no fixture for task "${opts.task}"`);
+      const text = fs.readFileSync(file, "utf8");
+
+      // Rough estimate (~4 characters per token) so streaming clients see counts
+      opts.onTokens?.({ prompt: Math.ceil((systemPrompt.length + userPrompt.length) / 4), output: Math.ceil(text.length / 4) });
+      return text;
+    }
+  };
+}
+
+function createProvider(env = process.env) {
+  const kind = (env.AI_PROVIDER || "ollama").toLowerCase();
+  const ollamaUrl = env.OLLAMA_URL || "http://localhost:11434/api/generate";
+  const ollamaModel = env.OLLAMA_MODEL || "llama3"; // change to mistral if you want
+
+  if (kind === "ollama") return ollamaGenerateProvider({ url: ollamaUrl, model: ollamaModel });
+
+  if (kind === "ollama-chat") {
+    const url = env.OLLAMA_CHAT_URL || ollamaUrl.replace(/\/api\/generate$/, "/api/chat");
+    return ollamaChatProvider({ url, model: ollamaModel });
+  }
+
+  if (kind === "openai") {
+    return openAICompatibleProvider({
+      baseURL: env.OPENAI_BASE_URL || "http://localhost:1234/v1",
+      apiKey: env.OPENAI_API_KEY || "not-needed", // local servers usually ignore the key
+      model: env.OPENAI_MODEL || "local-model"
+    });
+  }
+
+  if (kind === "stub") return stubProvider({ fixturesDir: env.STUB_FIXTURES_DIR || FIXTURES_DIR });
+
+  throw new Error(`Unknown AI_PROVIDER "${env.AI_PROVIDER}" (use ollama, ollama-chat, openai or stub)`);
+}
+
+module.exports = { createProvider };
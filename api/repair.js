@@ -0,0 +1,91 @@
+// ==========================
+// Model JSON repair
+// ==========================
+// Fixes the usual model mistakes: code fences, chatter around the object, comments,
+// single-quoted strings, smart quotes, raw newlines in strings and trailing commas.
+function repairJSON(rawText) {
+  let text = String(rawText).replace(/[“”]/g, '"').replace(/[‘’]/g, "'");
+
+  const fence = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fence) text = fence[1];
+
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end === -1) throw new Error("no JSON object found");
+  text = text.substring(start, end + 1);
+
+  let out = "";
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+
+    // Strings: re-emit as double-quoted JSON strings
+    if (c === '"' || c === "'") {
+      let value = "";
+      let j = i + 1;
+      for (; j < text.length && text[j] !== c; j++) {
+        const ch = text[j];
+        if (ch === "\\") {
+          const next = text[j + 1];
+          value += next === "'" ? "'" : ch + (next ?? "");
+          j++;
+        } else if (ch === '"') value += '\\"';
+        else if (ch === "\n") value += "\\n";
+        else if (ch === "\t") value += "\\t";
+        else if (ch !== "\r") value += ch;
+      }
+      out += `"${value}"`;
+      i = j;
+      continue;
+    }
+
+    // Comments
+    if (c === "/" && text[i + 1] === "/") {
+      while (i < text.length && text[i] !== "\n") i++;
+      continue;
+    }
+    if (c === "/" && text[i + 1] === "*") {
+      const close = text.indexOf("*/", i + 2);
+      i = close === -1 ? text.length : close + 1;
+      continue;
+    }
+
+    // Trailing commas
+    if (c === ",") {
+      let k = i + 1;
+      while (k < text.length && /\s/.test(text[k])) k++;
+      if (text[k] === "}" || text[k] === "]") continue;
+    }
+
+    out += c;
+  }
+
+  return out;
+}
+
+function parseModelJSON(rawText) {
+  if (!rawText || typeof rawText !== "string") throw new Error("Model returned empty response");
+
+  const asObject = (text) => {
+    const value = JSON.parse(text);
+    if (!value || typeof value !== "object" || Array.isArray(value)) throw new Error("expected a JSON object");
+    return value;
+  };
+
+  try {
+    return asObject(rawText.trim());
+  } catch {
+    // fall through to repair
+  }
+
+  try {
+    return asObject(repairJSON(rawText));
+  } catch (e) {
+    console.log("MODEL OUTPUT (bad JSON):", rawText);
+    throw new Error(`Failed to parse model JSON: ${e.message}`);
+  }
+}
+
+module.exports = {
+  repairJSON,
+  parseModelJSON
+};
\ No newline at end of file
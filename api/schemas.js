@@ -0,0 +1,223 @@
+const {
+  LANGUAGES,
+  PERM_PACK_NAMES,
+  CHANNEL_TYPES,
+  AFK_TIMEOUTS,
+  PERMISSION_NAMES,
+  ROLE_MENU_STYLES,
+  TICKET_MODES
+} = require("../shared/blueprint");
+
+// ==========================
+// Structured output schemas (JSON Schema handed to the model)
+// ==========================
+// These constrain decoding only; the shared validator still has the final say.
+
+const EDIT_ACTIONS = [
+  "edit_role_color",
+  "rename_role",
+  "create_role",
+  "delete_role",
+  "set_role_permpack",
+  "set_role_hoist",
+  "reorder_role",
+  "rename_channel",
+  "rename_category",
+  "create_channel",
+  "create_voice_channel",
+  "delete_channel",
+  "move_channel",
+  "reorder_channel",
+  "set_topic",
+  "grant_access",
+  "revoke_access",
+  "lock_channel",
+  "unlock_channel",
+  "set_slowmode"
+];
+
+const str = { type: "string" };
+const bool = { type: "boolean" };
+const int = { type: "integer" };
+const permissionList = { type: "array", items: { type: "string", enum: PERMISSION_NAMES } };
+
+const overwrite = {
+  type: "object",
+  properties: { target: str, targetRoleKey: str, allow: permissionList, deny: permissionList },
+  required: ["target", "targetRoleKey", "allow", "deny"]
+};
+
+const embedFields = {
+  type: "array",
+  maxItems: 25,
+  items: { type: "object", properties: { name: str, value: str, inline: bool }, required: ["name", "value"] }
+};
+
+const BLUEPRINT_SCHEMA = {
+  type: "object",
+  properties: {
+    name: str,
+    language: { type: "string", enum: LANGUAGES },
+    theme: str,
+    roles: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          key: str,
+          name: str,
+          color: { type: "string", pattern: "^#[0-9a-fA-F]{6}$" },
+          permPack: { type: "string", enum: PERM_PACK_NAMES },
+          permissions: permissionList,
+          hoist: bool,
+          mentionable: bool
+        },
+        required: ["key", "name", "color", "permPack", "hoist", "mentionable"]
+      }
+    },
+    categories: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          key: str,
+          name: str,
+          overwrites: { type: "array", items: overwrite },
+          channels: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                type: { type: "string", enum: CHANNEL_TYPES },
+                key: str,
+                name: str,
+                topic: str,
+                slowmode: int,
+                bitrate: int,
+                userLimit: int,
+                tags: {
+                  type: "array",
+                  items: { type: "object", properties: { name: str, emoji: str, moderated: bool }, required: ["name"] }
+                },
+                overwrites: { type: "array", items: overwrite }
+              },
+              required: ["type", "key", "name"]
+            }
+          }
+        },
+        required: ["key", "name", "channels"]
+      }
+    },
+    afk: {
+      type: "object",
+      properties: { channelKey: str, timeout: { type: "integer", enum: AFK_TIMEOUTS } },
+      required: ["channelKey", "timeout"]
+    },
+    verification: {
+      type: "object",
+      properties: {
+        enabled: bool,
+        channelKey: str,
+        roleKey: str,
+        memberRoleKey: str,
+        title: str,
+        description: str,
+        buttonLabel: str
+      },
+      required: ["enabled", "channelKey", "roleKey"]
+    },
+    tickets: {
+      type: "object",
+      properties: {
+        enabled: bool,
+        channelKey: str,
+        mode: { type: "string", enum: TICKET_MODES },
+        staffRoleKeys: { type: "array", items: str },
+        logChannelKey: str,
+        title: str,
+        description: str,
+        buttonLabel: str
+      },
+      required: ["enabled", "channelKey", "mode", "staffRoleKeys"]
+    },
+    roleMenus: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          channelKey: str,
+          roles: { type: "array", maxItems: 25, items: str },
+          style: { type: "string", enum: ROLE_MENU_STYLES },
+          title: str,
+          description: str
+        },
+        required: ["channelKey", "roles", "style"]
+      }
+    },
+    messages: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          channelKey: str,
+          type: { type: "string", enum: ["embed", "text"] },
+          title: str,
+          description: str,
+          content: str,
+          color: { type: "string", pattern: "^#[0-9a-fA-F]{6}$" },
+          fields: embedFields,
+          footer: str,
+          thumbnail: str,
+          image: str,
+          pin: bool,
+          buttons: {
+            type: "array",
+            maxItems: 5,
+            items: { type: "object", properties: { label: str, url: str }, required: ["label", "url"] }
+          },
+          he: {
+            type: "object",
+            properties: { title: str, description: str, content: str, footer: str, fields: embedFields }
+          }
+        },
+        required: ["channelKey", "type"]
+      }
+    }
+  },
+  required: ["name", "language", "theme", "roles", "categories", "messages"]
+};
+
+const EDITS_SCHEMA = {
+  type: "object",
+  properties: {
+    actions: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          action: { type: "string", enum: EDIT_ACTIONS },
+          roleName: str,
+          channelName: str,
+          categoryName: str,
+          newName: str,
+          color: str,
+          createChannelName: str,
+          inCategoryName: str,
+          slowmode: int,
+          topic: str,
+          permPack: { type: "string", enum: PERM_PACK_NAMES },
+          hoist: bool,
+          userLimit: int,
+          aboveRoleName: str,
+          aboveChannelName: str
+        },
+        required: ["action"]
+      }
+    }
+  },
+  required: ["actions"]
+};
+
+const OUTPUT_SCHEMAS = { blueprint: BLUEPRINT_SCHEMA, edits: EDITS_SCHEMA };
+
+module.exports = { EDIT_ACTIONS, OUTPUT_SCHEMAS };
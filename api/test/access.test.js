@@ -0,0 +1,194 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { signedHeaders } = require("../../shared/signing");
+
+const SECRET = "test-secret";
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "blooper-access-"));
+const QUOTA_FILE = path.join(dir, "quotas.json");
+const loaded = [];
+// Flush every copy first, or their exit handlers would write the folder back
+test.after(() => {
+  for (const access of loaded) access.flushQuotas();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// access.js reads its config when loaded, so every test gets a fresh copy
+function loadAccess(env = {}) {
+  Object.assign(process.env, {
+    API_SECRET: SECRET,
+    QUOTA_STORE: QUOTA_FILE,
+    RATE_LIMIT_WINDOW_SEC: "60",
+    RATE_LIMIT_USER: "2",
+    RATE_LIMIT_GUILD: "3",
+    QUOTA_USER_DAILY: "4",
+    QUOTA_GUILD_DAILY: "5",
+    ...env
+  });
+  delete require.cache[require.resolve("../access")];
+  const access = require("../access");
+  loaded.push(access);
+  return access;
+}
+
+function fakeRequest({ method = "POST", url = "/ai/edits", body = "", headers = {}, ip = "10.0.0.1" } = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return {
+    method,
+    path: url.split("?")[0],
+    originalUrl: url,
+    ip,
+    rawBody: body ? Buffer.from(body) : undefined,
+    get: (name) => lower[name.toLowerCase()]
+  };
+}
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    set(name, value) { this.headers[name] = value; return this; }
+  };
+}
+
+// Runs a request through authenticate and limitGenerations; returns the response (200 when it got through)
+function send(access, { secret = SECRET, guildId = "g1", userId = "u1", ip } = {}) {
+  const body = JSON.stringify({ prompt: "hi" });
+  const req = fakeRequest({ body, ip, headers: signedHeaders(secret, { method: "POST", path: "/ai/edits", body, guildId, userId }) });
+  const res = fakeResponse();
+  let passed = false;
+  access.authenticate(req, res, () => access.limitGenerations(req, res, () => { passed = true; }));
+  if (passed) res.statusCode = 200;
+  return res;
+}
+
+test.beforeEach(() => fs.rmSync(QUOTA_FILE, { force: true }));
+
+test("corsOptions follows CORS_ORIGINS", () => {
+  const { corsOptions } = loadAccess();
+  process.env.CORS_ORIGINS = "";
+  assert.deepEqual(corsOptions(), { origin: false });
+  process.env.CORS_ORIGINS = "https://a.example, https://b.example";
+  assert.deepEqual(corsOptions(), { origin: ["https://a.example", "https://b.example"] });
+  process.env.CORS_ORIGINS = "https://a.example,*";
+  assert.deepEqual(corsOptions(), { origin: true });
+  delete process.env.CORS_ORIGINS;
+});
+
+test("authenticate refuses unsigned and badly signed requests but not the health check", () => {
+  const access = loadAccess();
+  assert.equal(send(access, { secret: "" }).statusCode, 401);
+  assert.equal(send(access, { secret: "wrong" }).body.error, "Unauthorized: bad signature");
+
+  const res = fakeResponse();
+  let passed = false;
+  access.authenticate(fakeRequest({ method: "GET", url: "/" }), res, () => { passed = true; });
+  assert.ok(passed);
+});
+
+test("a signed request with an empty query passes as fetch sends it", () => {
+  const access = loadAccess();
+  const headers = signedHeaders(SECRET, { method: "GET", path: "/blueprints?", guildId: "g1", userId: "u1" });
+  const req = fakeRequest({ method: "GET", url: "/blueprints", headers });
+  let passed = false;
+  access.authenticate(req, fakeResponse(), () => { passed = true; });
+  assert.ok(passed);
+});
+
+test("signed requests are rate limited per user and per guild", () => {
+  const access = loadAccess();
+  assert.equal(send(access, { userId: "u1" }).statusCode, 200);
+  assert.equal(send(access, { userId: "u1" }).statusCode, 200);
+
+  const limited = send(access, { userId: "u1" });
+  assert.equal(limited.statusCode, 429);
+  assert.equal(limited.headers["Retry-After"], "60");
+  assert.deepEqual({ ...limited.body, error: undefined, resetAt: undefined }, {
+    error: undefined, code: "rate_limited", scope: "user", limit: 2, retryAfter: 60, resetAt: undefined
+  });
+
+  // u2 still has room, but the guild's third request in the window is its last
+  assert.equal(send(access, { userId: "u2" }).statusCode, 200);
+  const guild = send(access, { userId: "u3" });
+  assert.equal(guild.statusCode, 429);
+  assert.equal(guild.body.scope, "guild");
+  assert.equal(send(access, { guildId: "g2", userId: "u3" }).statusCode, 200);
+});
+
+test("the window slides", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.UTC(2026, 0, 1, 12) });
+  const access = loadAccess({ RATE_LIMIT_USER: "1" });
+  assert.equal(send(access).statusCode, 200);
+  t.mock.timers.tick(30_000);
+  assert.equal(send(access).body.retryAfter, 30);
+  t.mock.timers.tick(30_001);
+  assert.equal(send(access).statusCode, 200);
+});
+
+test("daily quotas reset at UTC midnight", (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.UTC(2026, 0, 1, 23, 0) });
+  const access = loadAccess({ RATE_LIMIT_USER: "0", RATE_LIMIT_GUILD: "0" });
+  for (let i = 0; i < 4; i++) assert.equal(send(access).statusCode, 200);
+
+  const spent = send(access);
+  assert.equal(spent.statusCode, 429);
+  assert.equal(spent.body.code, "quota");
+  assert.equal(spent.body.scope, "user");
+  assert.equal(spent.body.retryAfter, 3600);
+  assert.equal(spent.body.resetAt, "2026-01-02T00:00:00.000Z");
+  // u2 takes the guild's fifth and last generation of the day
+  assert.equal(send(access, { userId: "u2" }).statusCode, 200);
+  assert.equal(send(access, { userId: "u3" }).body.scope, "guild");
+
+  t.mock.timers.tick(3600_000);
+  assert.equal(send(access).statusCode, 200);
+});
+
+test("without a secret the bot's users and guilds keep their own limits", () => {
+  const access = loadAccess({ API_SECRET: "" });
+  // Every request comes from the bot's address
+  assert.equal(send(access, { secret: "", userId: "a", guildId: "x" }).statusCode, 200);
+  assert.equal(send(access, { secret: "", userId: "a", guildId: "x" }).statusCode, 200);
+  assert.equal(send(access, { secret: "", userId: "a", guildId: "x" }).body.scope, "user");
+  assert.equal(send(access, { secret: "", userId: "b", guildId: "x" }).statusCode, 200);
+  assert.equal(send(access, { secret: "", userId: "c", guildId: "x" }).body.scope, "guild");
+  assert.equal(send(access, { secret: "", userId: "c", guildId: "y" }).statusCode, 200);
+});
+
+test("requests without a user id are limited by IP", () => {
+  const access = loadAccess({ API_SECRET: "" });
+  assert.equal(send(access, { secret: "", userId: "", guildId: "" }).statusCode, 200);
+  assert.equal(send(access, { secret: "", userId: "", guildId: "" }).statusCode, 200);
+  assert.equal(send(access, { secret: "", userId: "", guildId: "" }).body.scope, "user");
+  assert.equal(send(access, { secret: "", userId: "", guildId: "", ip: "10.0.0.2" }).statusCode, 200);
+});
+
+test("quota counts are flushed to disk and survive a restart", () => {
+  const access = loadAccess({ RATE_LIMIT_USER: "0", RATE_LIMIT_GUILD: "0" });
+  send(access);
+  send(access, { userId: "u2" });
+  assert.equal(fs.existsSync(QUOTA_FILE), false);
+
+  access.flushQuotas();
+  const saved = JSON.parse(fs.readFileSync(QUOTA_FILE, "utf8"));
+  assert.deepEqual(saved.users, { "user:u1": 1, "user:u2": 1 });
+  assert.deepEqual(saved.guilds, { g1: 2 });
+  assert.deepEqual(fs.readdirSync(dir), ["quotas.json"]);
+
+  const restarted = loadAccess({ RATE_LIMIT_USER: "0", RATE_LIMIT_GUILD: "0", QUOTA_GUILD_DAILY: "2" });
+  assert.equal(send(restarted, { userId: "u3" }).body.code, "quota");
+});
+
+test("an unreadable quota file is ignored with a warning", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+  fs.writeFileSync(QUOTA_FILE, "{ not json");
+  const access = loadAccess({ RATE_LIMIT_USER: "0", RATE_LIMIT_GUILD: "0" });
+  assert.equal(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[0], /Ignoring .*quotas\.json/);
+  assert.equal(send(access).statusCode, 200);
+});
\ No newline at end of file
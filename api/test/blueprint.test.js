@@ -0,0 +1,148 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  normalizeChannelName,
+  replacePlaceholders,
+  validateBlueprintSchema,
+  describeErrors,
+  planBlueprint,
+  applyVerificationGate,
+  diffBlueprints,
+  describeDiff
+} = require("../../shared/blueprint");
+
+const fixture = () => structuredClone(require("../fixtures/blueprint.json"));
+const paths = (bp) => validateBlueprintSchema(bp).map(e => e.path);
+
+test("normalizeChannelName keeps letters of any script and dashes the rest", () => {
+  assert.equal(normalizeChannelName("  General Chat!! "), "general-chat");
+  assert.equal(normalizeChannelName("📢 Announcements"), "announcements");
+  assert.equal(normalizeChannelName("ברוכים הבאים"), "ברוכים-הבאים");
+  assert.equal(normalizeChannelName("‏חוקים‏"), "חוקים");
+});
+
+test("replacePlaceholders resolves known keys and leaves unknown ones", () => {
+  const out = replacePlaceholders("See {{channel:rules}} and {{role: ping }} {{role:nope}}", (kind, key) =>
+    ({ "channel:rules": "<#1>", "role:ping": "<@&2>" })[`${kind}:${key}`]);
+  assert.equal(out, "See <#1> and <@&2> {{role:nope}}");
+});
+
+test("validateBlueprintSchema accepts the stub fixture", () => {
+  assert.deepEqual(validateBlueprintSchema(fixture()), []);
+});
+
+test("validateBlueprintSchema reports each problem with its path", () => {
+  const bp = fixture();
+  bp.roles[0].permPack = "god";
+  bp.roles.push({ ...bp.roles[1] });
+  bp.categories[0].channels[0].type = "radio";
+  bp.messages.push({ channelKey: "nope", type: "embed", title: "x" });
+
+  assert.deepEqual(paths(bp), [
+    "roles[0].permPack",
+    `roles[${bp.roles.length - 1}].key`,
+    "categories[0].channels[0].type",
+    "messages[1].channelKey"
+  ]);
+  assert.match(describeErrors(validateBlueprintSchema(bp))[1], /duplicate key "admin"/);
+});
+
+test("validateBlueprintSchema checks tickets and verification against the blueprint's keys", () => {
+  const bp = fixture();
+  bp.tickets = { enabled: true, channelKey: "tickets", mode: "dm", staffRoleKeys: ["ghost"], logChannelKey: "mod-logs" };
+  bp.verification = { enabled: true, channelKey: "rules", roleKey: "admin" };
+  const found = paths(bp);
+  assert.ok(found.includes("tickets.mode"));
+  assert.ok(found.includes("tickets.staffRoleKeys"));
+  assert.ok(found.some(p => p.startsWith("verification.roleKey")));
+});
+
+test("planBlueprint reuses existing objects by name and creates the rest", () => {
+  const bp = fixture();
+  const community = bp.categories.find(c => c.key === "community");
+  const plan = planBlueprint(bp, {
+    roles: [{ id: "r1", name: "admin" }],
+    categories: [{ id: "c1", name: community.name }],
+    channels: [{ id: "x1", name: "general", type: "text", parentId: "c1" }],
+    // A tracked id that no longer exists is ignored
+    tracked: { roles: { mod: "gone" } }
+  });
+
+  assert.deepEqual(plan.roles.find(r => r.key === "admin"), { key: "admin", name: "Admin", action: "reuse", id: "r1" });
+  assert.equal(plan.roles.find(r => r.key === "mod").action, "create");
+  assert.equal(plan.categories.find(c => c.key === "community").action, "reuse");
+  assert.equal(plan.channels.find(c => c.key === "general").id, "x1");
+  assert.equal(plan.channels.find(c => c.key === "memes").action, "create");
+  assert.equal(plan.summary.reuse, 3);
+  assert.equal(plan.summary.update, 0);
+});
+
+test("planBlueprint updates tracked objects and skips duplicates", () => {
+  const bp = fixture();
+  bp.roles.push({ ...bp.roles[0] });
+  const plan = planBlueprint(bp, { roles: [{ id: "r7", name: "Renamed" }], tracked: { roles: { owner: "r7" } } });
+
+  assert.deepEqual(plan.roles[0], { key: "owner", name: "Owner", action: "update", id: "r7" });
+  assert.equal(plan.roles.at(-1).action, "skip");
+  assert.equal(plan.roles.at(-1).reason, "duplicate key");
+});
+
+test("applyVerificationGate hides every other category and is idempotent", () => {
+  const bp = fixture();
+  bp.verification = { enabled: true, channelKey: "rules", roleKey: "verified" };
+  const once = structuredClone(applyVerificationGate(bp));
+  const twice = applyVerificationGate(structuredClone(once));
+  assert.deepEqual(twice, once);
+
+  const info = once.categories.find(c => c.key === "info");
+  const community = once.categories.find(c => c.key === "community");
+  assert.equal((info.overwrites || []).length, 0);
+  assert.deepEqual(community.overwrites.find(o => o.target === "@everyone").deny, ["ViewChannel"]);
+  assert.deepEqual(community.overwrites.find(o => o.targetRoleKey === "verified").allow, ["ViewChannel"]);
+});
+
+test("applyVerificationGate also gates channels with their own overwrites outside the open category", () => {
+  const bp = fixture();
+  bp.verification = { enabled: true, channelKey: "rules", roleKey: "verified" };
+  const sendOnly = () => [{ target: "@everyone", targetRoleKey: "", allow: [], deny: ["SendMessages"] }];
+  const channel = (key) => bp.categories.flatMap(c => c.channels).find(ch => ch.key === key);
+  channel("tickets").overwrites = sendOnly();
+  channel("announcements").overwrites = sendOnly();
+  channel("mod-logs").overwrites = [{ target: "@everyone", targetRoleKey: "", allow: [], deny: ["ViewChannel"] }];
+  applyVerificationGate(bp);
+
+  assert.deepEqual(channel("tickets").overwrites, [
+    { target: "@everyone", targetRoleKey: "", allow: [], deny: ["SendMessages", "ViewChannel"] },
+    { target: "", targetRoleKey: "verified", allow: ["ViewChannel"], deny: [] }
+  ]);
+  // The open category and hidden staff channels keep their overwrites; channels that sync get none
+  assert.deepEqual(channel("announcements").overwrites, sendOnly());
+  assert.deepEqual(channel("mod-logs").overwrites, [{ target: "@everyone", targetRoleKey: "", allow: [], deny: ["ViewChannel"] }]);
+  assert.equal(channel("help").overwrites, undefined);
+});
+
+test("applyVerificationGate leaves blueprints without verification alone", () => {
+  const bp = fixture();
+  assert.deepEqual(applyVerificationGate(structuredClone(bp)), bp);
+});
+
+test("diffBlueprints matches by key and lists changed fields", () => {
+  const before = fixture();
+  const after = fixture();
+  after.name = "Renamed";
+  after.roles.find(r => r.key === "mod").color = "#123456";
+  after.roles = after.roles.filter(r => r.key !== "helper");
+  after.categories[1].channels.push({ key: "trading", name: "trading", type: "text" });
+
+  const diff = diffBlueprints(before, after);
+  assert.deepEqual(diff.settings, ["name"]);
+  assert.deepEqual(diff.roles.changed, [{ key: "mod", name: "Moderator", fields: ["color"] }]);
+  assert.deepEqual(diff.roles.removed.map(r => r.key), ["helper"]);
+  assert.deepEqual(diff.channels.added, [{ key: "trading", name: "trading" }]);
+  assert.deepEqual(diff.summary, { added: 1, removed: 1, changed: 2 });
+  assert.deepEqual(describeDiff(diff), ["✏️ name", "➖ role Helper", "✏️ role Moderator (color)", "➕ channel trading"]);
+});
+
+test("diffBlueprints of identical blueprints is empty", () => {
+  assert.deepEqual(diffBlueprints(fixture(), fixture()).summary, { added: 0, removed: 0, changed: 0 });
+});
\ No newline at end of file
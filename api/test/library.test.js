@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "blooper-library-"));
+process.env.BLUEPRINT_STORE = path.join(dir, "blueprints.json");
+const library = require("../library");
+const fixture = require("../fixtures/blueprint.json");
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test("saves add versions only when the blueprint changes", () => {
+  const { id } = library.createBlueprint({ blueprint: fixture, tags: "Gaming, gaming", ownerGuildId: "g1" });
+  assert.equal(library.updateBlueprint(id, { blueprint: fixture }).versionAdded, false);
+  assert.equal(library.updateBlueprint(id, { blueprint: { ...fixture, name: "Renamed" }, note: "rename" }).versionAdded, true);
+
+  assert.deepEqual(library.listVersions(id).map(v => [v.version, v.name]), [[1, fixture.name], [2, "Renamed"]]);
+  assert.equal(library.getBlueprint(id, 1).blueprint.name, fixture.name);
+  assert.deepEqual(library.listBlueprints({ guildId: "g1", tag: "GAMING" }).map(e => e.id), [id]);
+  assert.deepEqual(library.listBlueprints({ guildId: "g2" }), []);
+});
+
+test("the store is replaced in one step, leaving no temp file", () => {
+  library.createBlueprint({ blueprint: fixture });
+  assert.deepEqual(fs.readdirSync(dir), ["blueprints.json"]);
+  assert.ok(JSON.parse(fs.readFileSync(process.env.BLUEPRINT_STORE, "utf8")).nextId > 1);
+});
+
+test("ids naming object prototype members find nothing", () => {
+  for (const id of ["__proto__", "constructor", "toString", "hasOwnProperty"]) {
+    assert.equal(library.getEntry(id), null, id);
+    assert.equal(library.getBlueprint(id), null, id);
+    assert.equal(library.listVersions(id), null, id);
+    assert.equal(library.updateBlueprint(id, { name: "x" }), null, id);
+    assert.equal(library.deleteBlueprint(id), false, id);
+  }
+});
\ No newline at end of file
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "blooper-refine-"));
+const fixture = require("../fixtures/blueprint.json");
+let api;
+let base;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    }).on("error", reject);
+  });
+}
+
+// The real API on the offline stub provider, one AI request per user per day
+test.before(async () => {
+  const port = await freePort();
+  base = `http://127.0.0.1:${port}`;
+  api = spawn(process.execPath, [path.join(__dirname, "..", "index.js")], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      AI_PROVIDER: "stub",
+      API_SECRET: "",
+      RATE_LIMIT_USER: "0",
+      RATE_LIMIT_GUILD: "0",
+      QUOTA_USER_DAILY: "1",
+      QUOTA_STORE: path.join(dir, "quotas.json"),
+      BLUEPRINT_STORE: path.join(dir, "blueprints.json")
+    },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  await new Promise((resolve, reject) => {
+    api.stdout.on("data", (chunk) => String(chunk).includes("running on") && resolve());
+    api.on("exit", (code) => reject(new Error(`API exited with code ${code}`)));
+  });
+});
+
+test.after(() => {
+  api?.kill();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function refine(body) {
+  const r = await fetch(`${base}/ai/blueprint/refine`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "x-guild-id": "g1", "x-user-id": "u1" },
+    body: JSON.stringify(body)
+  });
+  return { status: r.status, data: await r.json() };
+}
+
+test("malformed refine requests are refused before they use up quota", async () => {
+  assert.deepEqual(await refine({ blueprint: "x", instruction: "y" }), { status: 400, data: { error: "Missing blueprint" } });
+  assert.equal((await refine({ blueprint: [], instruction: "y" })).status, 400);
+  assert.deepEqual(await refine({ blueprint: fixture, instruction: "  " }), { status: 400, data: { error: "Missing instruction" } });
+
+  const invalid = await refine({ blueprint: { name: "x" }, instruction: "y" });
+  assert.equal(invalid.status, 422);
+  assert.equal(invalid.data.error, "Blueprint failed validation");
+
+  // Only the one request that reached the model counted
+  const ok = await refine({ blueprint: fixture, instruction: "add a memes channel" });
+  assert.equal(ok.status, 200);
+  assert.ok(Array.isArray(ok.data.changes));
+  assert.equal((await refine({ blueprint: fixture, instruction: "again" })).data.code, "quota");
+});
\ No newline at end of file
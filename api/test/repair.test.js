@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { repairJSON, parseModelJSON } = require("../repair");
+
+test("parseModelJSON takes valid JSON as is", () => {
+  assert.deepEqual(parseModelJSON('{"a": [1, 2], "b": "x"}'), { a: [1, 2], b: "x" });
+});
+
+test("repairJSON strips fences, chatter and comments", () => {
+  const raw = "Sure! Here it is:\n```json\n{\n  // the name\n  \"name\": \"Hub\", /* inline */ \"n\": 1\n}\n```\nEnjoy.";
+  assert.deepEqual(JSON.parse(repairJSON(raw)), { name: "Hub", n: 1 });
+});
+
+test("repairJSON fixes quotes, raw newlines and trailing commas", () => {
+  const raw = "{'name': 'It\\'s \"ok\"', “smart”: “quotes”, 'text': 'line one\nline two', 'list': [1, 2,],}";
+  assert.deepEqual(JSON.parse(repairJSON(raw)), {
+    name: "It's \"ok\"",
+    smart: "quotes",
+    text: "line one\nline two",
+    list: [1, 2]
+  });
+});
+
+test("repairJSON keeps comment-like text inside strings", () => {
+  assert.deepEqual(JSON.parse(repairJSON('{"url": "https://example.com/a,}"}')), { url: "https://example.com/a,}" });
+});
+
+test("parseModelJSON refuses empty answers, arrays and text without an object", (t) => {
+  t.mock.method(console, "log", () => {});
+  assert.throws(() => parseModelJSON(""), /empty response/);
+  assert.throws(() => parseModelJSON("[1, 2]"), /Failed to parse model JSON: no JSON object found/);
+  assert.throws(() => parseModelJSON("I can't do that"), /no JSON object found/);
+});
\ No newline at end of file
@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { HEADERS, MAX_SKEW_SECONDS, signedHeaders, verifySignature } = require("../../shared/signing");
+
+const SECRET = "test-secret";
+const request = { method: "POST", path: "/ai/edits?x=1", body: JSON.stringify({ prompt: "hi" }), guildId: "g1", userId: "u1" };
+
+// What the API sees for a request signed with `headers`
+const received = (headers, overrides = {}) => ({
+  timestamp: headers[HEADERS.timestamp],
+  signature: headers[HEADERS.signature],
+  method: request.method,
+  path: request.path,
+  guildId: headers[HEADERS.guildId],
+  userId: headers[HEADERS.userId],
+  body: request.body,
+  ...overrides
+});
+
+test("a signed request verifies", () => {
+  const headers = signedHeaders(SECRET, request);
+  assert.equal(headers[HEADERS.guildId], "g1");
+  assert.equal(headers[HEADERS.userId], "u1");
+  assert.match(headers[HEADERS.signature], /^sha256=[0-9a-f]{64}$/);
+  assert.equal(verifySignature(SECRET, received(headers)), null);
+});
+
+test("changing any signed part breaks the signature", () => {
+  const headers = signedHeaders(SECRET, request);
+  for (const overrides of [
+    { body: JSON.stringify({ prompt: "bye" }) },
+    { path: "/ai/blueprint" },
+    { method: "PUT" },
+    { guildId: "g2" },
+    { userId: "u2" }
+  ]) {
+    assert.equal(verifySignature(SECRET, received(headers, overrides)), "bad signature", JSON.stringify(overrides));
+  }
+  assert.equal(verifySignature("other-secret", received(headers)), "bad signature");
+});
+
+test("method case doesn't matter", () => {
+  const headers = signedHeaders(SECRET, { ...request, method: "post" });
+  assert.equal(verifySignature(SECRET, received(headers)), null);
+});
+
+test("missing or stale signatures are refused", (t) => {
+  const headers = signedHeaders(SECRET, request);
+  assert.equal(verifySignature(SECRET, received(headers, { signature: undefined })), "missing signature");
+  assert.equal(verifySignature(SECRET, received(headers, { signature: "sha256=00" })), "bad signature");
+
+  t.mock.timers.enable({ apis: ["Date"], now: Date.now() + (MAX_SKEW_SECONDS + 5) * 1000 });
+  assert.equal(verifySignature(SECRET, received(headers)), "timestamp too old or in the future");
+});
+
+test("without a secret only the actor headers are sent", () => {
+  assert.deepEqual(signedHeaders("", request), { [HEADERS.guildId]: "g1", [HEADERS.userId]: "u1" });
+  assert.deepEqual(signedHeaders("", { method: "GET", path: "/" }), {});
+});
\ No newline at end of file
@@ -14,27 +14,60 @@ const {
   SlashCommandBuilder,
   PermissionsBitField,
   ChannelType,
-  EmbedBuilder
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  StringSelectMenuBuilder,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle,
+  AttachmentBuilder,
+  RESTJSONErrorCodes
 } = require("discord.js");
+const {
+  CHANNEL_TYPES,
+  VOICE_TYPES,
+  AFK_TIMEOUTS,
+  LIMITS,
+  normalizeChannelName,
+  replacePlaceholders,
+  applyVerificationGate,
+  validateBlueprintSchema,
+  describeErrors,
+  planBlueprint
+} = require("../shared/blueprint");
+const { readNDJSON } = require("../shared/ndjson");
+const { signedHeaders } = require("../shared/signing");
+const { openStorage, migrateLegacyFiles } = require("./storage");
 
 // ==============================
 // Config / Paths
 // ==============================
 const DATA_DIR = path.join(__dirname, "data");
-const STATE_FILE = path.join(DATA_DIR, "guild_state.json");
+const TEMPLATES_DIR = path.join(__dirname, "templates");
 const API_BASE = process.env.API_BASE || "http://localhost:5050";
+// Shared with the API; requests are signed with it (see shared/signing.js)
+const API_SECRET = process.env.API_SECRET || "";
+// Message Content is a privileged intent (turn it on in the developer portal first).
+// Without it ticket transcripts only record who opened, claimed and closed a ticket, and when.
+const TICKET_TRANSCRIPTS = process.env.TICKET_TRANSCRIPTS === "true";
 
-function ensureDataDir() {
-  if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR);
-  if (!fs.existsSync(STATE_FILE)) fs.writeFileSync(STATE_FILE, JSON.stringify({}, null, 2));
-}
-function readState() {
-  ensureDataDir();
-  return JSON.parse(fs.readFileSync(STATE_FILE, "utf8"));
+// Guild state, changesets, jobs and tickets, one record per guild (see storage.js)
+const store = openStorage({ dataDir: DATA_DIR });
+
+// What builds and undo own in guild state; settings like editPolicy and logs are saved on their own
+const TRACKED_FIELDS = ["roles", "categories", "channels", "messages", "roleMenus", "verification", "tickets"];
+
+function loadGuildState(guildId) {
+  const gs = store.get("guilds", guildId) || {};
+  return { roles: {}, categories: {}, channels: {}, messages: {}, roleMenus: {}, verification: null, tickets: null, logs: {}, build: null, editPolicy: {}, language: null, ...gs };
 }
-function writeState(state) {
-  ensureDataDir();
-  fs.writeFileSync(STATE_FILE, JSON.stringify(state, null, 2));
+// With `fields`, only those are written, so a long build can't undo a setting changed while it ran
+function saveGuildState(guildId, gs, fields = null) {
+  store.update("guilds", guildId, (current) => fields
+    ? { ...current, ...Object.fromEntries(fields.map(f => [f, gs[f]])) }
+    : gs, {});
 }
 
 // ==============================
@@ -64,9 +97,392 @@ const PERM_PACKS = {
   ping: []
 };
 
+// Pack permissions plus any explicit extras listed on the blueprint role
+function rolePermissions(r) {
+  const extra = (r.permissions || []).map(p => PermissionsBitField.Flags[p]).filter(Boolean);
+  return [...(PERM_PACKS[r.permPack] || []), ...extra];
+}
+
+// ==============================
+// Channel Types
+// ==============================
+const CHANNEL_TYPE_IDS = {
+  text: ChannelType.GuildText,
+  voice: ChannelType.GuildVoice,
+  stage: ChannelType.GuildStageVoice,
+  announcement: ChannelType.GuildAnnouncement,
+  forum: ChannelType.GuildForum
+};
+
+// Community-only types fall back to these in regular guilds
+const COMMUNITY_FALLBACK = { announcement: "text", stage: "voice", forum: "text" };
+
+const CHANNEL_ICONS = { text: "#", voice: "🔊 ", stage: "🎙️ ", announcement: "📢 #", forum: "🗂️ #" };
+
+function channelTypeName(type) {
+  return Object.keys(CHANNEL_TYPE_IDS).find(k => CHANNEL_TYPE_IDS[k] === type) || "text";
+}
+
+function channelLabel(type, name) {
+  const t = CHANNEL_TYPES.includes(type) ? type : "text";
+  return `${CHANNEL_ICONS[t]}${VOICE_TYPES.includes(t) ? name : normalizeChannelName(name)}`;
+}
+
+function resolveChannelType(guild, type) {
+  const t = CHANNEL_TYPES.includes(type) ? type : "text";
+  return COMMUNITY_FALLBACK[t] && !guild.features?.includes("COMMUNITY") ? COMMUNITY_FALLBACK[t] : t;
+}
+
+function forumTags(tags) {
+  return (tags || []).map(t => ({
+    name: String(t.name).slice(0, 20),
+    moderated: !!t.moderated,
+    emoji: t.emoji ? { id: null, name: t.emoji } : null
+  }));
+}
+
+// The server's boost level caps voice bitrate (96 kbps unboosted, up to LIMITS.bitrateMax)
+function maxBitrate(guild) {
+  return Math.min(LIMITS.bitrateMax, guild.maximumBitrate || 96000);
+}
+
+// Settings Discord accepts for each channel type (used for create and reconcile)
+function channelSettings(guild, ch, type) {
+  if (VOICE_TYPES.includes(type)) {
+    return {
+      name: String(ch.name).slice(0, 100),
+      bitrate: Math.min(maxBitrate(guild), Math.max(LIMITS.bitrateMin, Number(ch.bitrate) || 64000)),
+      userLimit: Math.max(0, Number(ch.userLimit || 0))
+    };
+  }
+
+  const settings = { name: normalizeChannelName(ch.name), topic: ch.topic || null };
+  if (type !== "announcement") settings.rateLimitPerUser = Math.max(0, Number(ch.slowmode || 0));
+  if (type === "forum") settings.availableTags = forumTags(ch.tags);
+  return settings;
+}
+
+function currentChannelSettings(channel) {
+  return {
+    name: channel.name,
+    topic: channel.topic || null,
+    rateLimitPerUser: channel.rateLimitPerUser || 0,
+    bitrate: channel.bitrate,
+    userLimit: channel.userLimit,
+    availableTags: forumTags((channel.availableTags || []).map(t => ({ ...t, emoji: t.emoji?.name }))),
+    parent: channel.parentId
+  };
+}
+
+// ==============================
+// Localization (EN / HE / EN+HE)
+// ==============================
+// Build-flow replies follow the blueprint's language, everything else the guild's.
+// EN+HE shows both, English first.
+const STRINGS = {
+  EN: {
+    roles: "Roles",
+    categories: "Categories",
+    channels: "Channels",
+    messages: "Messages",
+    confirm: "Confirm",
+    refine: "Refine",
+    cancel: "Cancel",
+    planTitle: "🧾 Build plan: {name}",
+    planSummary: "➕ Create **{create}** · ✏️ Update **{update}** · ♻️ Reuse **{reuse}** · ⏭️ Skip **{skip}**\nNothing is changed until you press **Confirm**.",
+    refinements: "✏️ Refinements",
+    lastChanges: "Last changes",
+    noChanges: "No changes",
+    planExpired: "⌛ This build plan expired. Run the command again.",
+    planOwnerOnly: "❌ Only the admin who requested this build can confirm it.",
+    refineRunning: "⏳ A refinement is still running.",
+    planCancelled: "🚫 Build cancelled. Nothing was changed.",
+    buildQueueing: "🏗️ Queueing **{name}**...",
+    buildProgress: "🏗️ Building **{name}**",
+    buildDone: "✅ Built **{name}**",
+    buildComplete: "✅ Build complete! (undo with `/undo id:{id}`)",
+    buildStopped: "🛑 Cancelled: **{name}**",
+    buildCancelled: "🛑 Build cancelled. Progress was saved — run /resume to continue or `/undo id:{id}` to revert.",
+    buildBroke: "❌ Failed: **{name}**",
+    buildFailed: "❌ Build failed: {error}\nProgress was saved — run /resume to continue.",
+    genQueueing: "⏳ Queueing blueprint generation...",
+    genGenerating: "🧠 AI is generating a blueprint...",
+    genParsing: "🔎 Reading the model's answer...",
+    genRepairing: "🩹 The answer wasn't valid JSON, asking the model to fix it...",
+    genValidating: "📋 Checking the blueprint...",
+    genExpanding: "📐 Fixing {problems} problem(s) — expansion attempt {attempt}/{of}...",
+    genTokens: "🔢 Tokens: {prompt} in · {output} out",
+    genReady: "🧾 Blueprint ready.",
+    genCancelled: "🛑 Generation cancelled.",
+    genBroke: "❌ Generation failed.",
+    genFailed: "❌ Generation failed: {error}",
+    roleMenuTitle: "🎭 Pick your roles",
+    roleMenuButtonHint: "Click a button to get a role, click it again to remove it.",
+    roleMenuSelectHint: "Pick the roles you want; unpicked ones are removed.",
+    roleMenuPlaceholder: "Choose roles",
+    roleMenuAdded: "✅ Added {roles}",
+    roleMenuRemoved: "➖ Removed {roles}",
+    roleMenuRefused: "❌ I can't hand out {roles} (above my role or has staff permissions).",
+    roleMenuNoChange: "👌 Your roles are already set.",
+    roleMenuGone: "❌ This role menu is no longer active.",
+    roleMenuFailed: "❌ Couldn't update your roles: {error}",
+    verifyTitle: "🛡️ Verification",
+    verifyDescription: "Read the rules above, then press the button to unlock the rest of the server.",
+    verifyButton: "I accept the rules",
+    verifyDone: "✅ You're verified — welcome! The rest of the server is now visible.",
+    verifyAlready: "👌 You're already verified.",
+    verifyGone: "❌ This verification button is no longer active.",
+    verifyBroken: "❌ I can't hand out the verification role (missing, above my role or has staff permissions). Please tell a moderator.",
+    verifyFailed: "❌ Couldn't verify you: {error}",
+    ticketPanelTitle: "🎫 Support tickets",
+    ticketPanelDescription: "Need help from the staff? Press the button to open a private ticket.",
+    ticketOpenButton: "Open ticket",
+    ticketWelcome: "{user}, thanks for reaching out! Describe your issue and a staff member will be with you soon.",
+    ticketClaimButton: "Claim",
+    ticketCloseButton: "Close",
+    ticketOpened: "✅ Your ticket is open: {channel}",
+    ticketAlreadyOpen: "ℹ️ You already have an open ticket: {channel}",
+    ticketFailed: "❌ Couldn't open a ticket: {error}",
+    ticketGone: "❌ This ticket panel is no longer active.",
+    ticketClosed: "❌ This ticket is already closed.",
+    ticketStaffOnly: "❌ Only staff can claim tickets.",
+    ticketCloseDenied: "❌ Only the ticket's opener or staff can close it.",
+    ticketClaimed: "🙋 {user} claimed this ticket.",
+    ticketClaimedAlready: "ℹ️ {user} already claimed this ticket.",
+    ticketClosing: "🔒 {user} closed this ticket.",
+    interactionFailed: "❌ Something went wrong: {error}",
+    jobQueued: "⏳ `#{id}` queued behind **{ahead}** job(s). Use `/jobs status` to follow it.",
+    jobRateLimited: "⏳ Rate limited by Discord, retrying in {wait}s",
+    jobsNoMatch: "ℹ️ No matching running or queued job.",
+    jobsCancelledQueued: "🛑 Cancelled queued job `#{id}` ({kind}).",
+    jobsCancelling: "🛑 Cancelling `#{id}` ({kind}) — it stops after the current step.",
+    jobsRunning: "Running",
+    jobsQueued: "Queued",
+    jobsRecent: "Recent",
+    jobsNone: "📭 No jobs yet.",
+    statusQueued: "queued",
+    statusRunning: "running",
+    statusDone: "done",
+    statusFailed: "failed",
+    statusCancelled: "cancelled",
+    statusInterrupted: "interrupted",
+    editQueueing: "⏳ Queueing edit request...",
+    editConverting: "🧠 AI is converting edits into actions...",
+    editReady: "🧾 Edits ready.",
+    editStopped: "🛑 Edit request cancelled.",
+    editBroke: "❌ Edit failed.",
+    editFailed: "❌ Edit failed: {error}",
+    editNone: "ℹ️ The AI didn't find any edits to make.",
+    editPlanTitle: "🧾 Edit plan",
+    editPlanLegend: "🟢 safe · 🔴 destructive ({destructive}) · ⛔ blocked by policy ({blocked})\nNothing is changed until you press **Apply**.",
+    editApply: "Apply {count}",
+    editApplySelected: "Apply selected",
+    editPickPlaceholder: "Choose the actions to apply",
+    editSafe: "Safe",
+    editDestructive: "Destructive",
+    editExpired: "⌛ This edit plan expired. Run the command again.",
+    editOwnerOnly: "❌ Only the admin who requested these edits can apply them.",
+    editCancelled: "🚫 Edits cancelled. Nothing was changed.",
+    editApplying: "✏️ Applying **{count}** action(s)...",
+    undoHint: "↩️ Undo with `/undo id:{id}`",
+    policyRoleCeiling: "role {role} is at or above {ceiling}",
+    policyPackCeiling: "permPack {pack} is at or above {ceiling}",
+    policyProtected: "category {category} is protected",
+    verifyOff: "🛡️ Verification is **off**. Turn it on with `/verification enable`.",
+    verifyOn: "🛡️ Verification is **on**",
+    verifyButtonIn: "Button: {channel}",
+    verifyGrants: "Grants: {roles}",
+    verifyHidden: "Hidden until verified: {channels}",
+    verifyHiddenNone: "Hidden until verified: nothing",
+    verifyNotEnabled: "ℹ️ Verification is not enabled.",
+    verifyDisableQueueing: "⏳ Queueing verification removal...",
+    verifyDisabling: "🔓 Lifting the verification gate...",
+    verifyDisabled: "✅ Verification disabled. Undo with `/undo id:{id}` (the button isn't re-posted).",
+    verifyDisableBroke: "❌ Disabling verification failed.",
+    verifyDisableFailed: "❌ Disabling verification failed: {error}",
+    verifyNoRules: "❌ No #rules channel found. Pick one with the `channel` option.",
+    verifySetupQueueing: "⏳ Queueing verification setup...",
+    verifySettingUp: "🛡️ Setting up verification...",
+    verifyMembers: "👥 Verifying existing members...",
+    verifyMembersProgress: "👥 Verifying existing members",
+    verifyEnabled: "✅ Verification enabled in {channel}: {count} categories/channels hidden until verified.",
+    verifyMembersDone: "👥 {count} existing member(s) verified.",
+    verifySetupStopped: "🛑 Verification setup cancelled.",
+    verifySetupBroke: "❌ Verification setup failed.",
+    verifySetupFailed: "❌ Verification setup failed: {error}",
+    cooldownUser: "⏳ You're sending AI requests a bit fast. Try again <t:{at}:R>.",
+    cooldownGuild: "⏳ This server is sending a lot of AI requests right now. Try again <t:{at}:R>.",
+    quotaUser: "🪫 You've used your {limit} AI requests for today. More are available <t:{at}:R>.",
+    quotaGuild: "🪫 This server has used its {limit} AI requests for today. More are available <t:{at}:R>."
+  },
+  HE: {
+    roles: "תפקידים",
+    categories: "קטגוריות",
+    channels: "ערוצים",
+    messages: "הודעות",
+    confirm: "אישור",
+    refine: "שיפור",
+    cancel: "ביטול",
+    planTitle: "🧾 תוכנית בנייה: {name}",
+    planSummary: "➕ יצירה **{create}** · ✏️ עדכון **{update}** · ♻️ שימוש חוזר **{reuse}** · ⏭️ דילוג **{skip}**\nשום דבר לא משתנה עד שלוחצים **אישור**.",
+    refinements: "✏️ שיפורים",
+    lastChanges: "שינויים אחרונים",
+    noChanges: "אין שינויים",
+    planExpired: "⌛ תוקף תוכנית הבנייה פג. הריצו את הפקודה שוב.",
+    planOwnerOnly: "❌ רק המנהל שביקש את הבנייה יכול לאשר אותה.",
+    refineRunning: "⏳ שיפור עדיין רץ.",
+    planCancelled: "🚫 הבנייה בוטלה. שום דבר לא השתנה.",
+    buildQueueing: "🏗️ **{name}** נכנס לתור...",
+    buildProgress: "🏗️ בונה את **{name}**",
+    buildDone: "✅ **{name}** נבנה",
+    buildComplete: "✅ הבנייה הושלמה! (לביטול: `/undo id:{id}`)",
+    buildStopped: "🛑 בוטל: **{name}**",
+    buildCancelled: "🛑 הבנייה בוטלה. ההתקדמות נשמרה — הריצו /resume כדי להמשיך או `/undo id:{id}` כדי לבטל אותה.",
+    buildBroke: "❌ נכשל: **{name}**",
+    buildFailed: "❌ הבנייה נכשלה: {error}\nההתקדמות נשמרה — הריצו /resume כדי להמשיך.",
+    genQueueing: "⏳ יצירת הבלופרינט נכנסה לתור...",
+    genGenerating: "🧠 ה-AI יוצר בלופרינט...",
+    genParsing: "🔎 קורא את תשובת המודל...",
+    genRepairing: "🩹 התשובה לא הייתה JSON תקין, מבקש מהמודל לתקן...",
+    genValidating: "📋 בודק את הבלופרינט...",
+    genExpanding: "📐 מתקן {problems} בעיות — ניסיון הרחבה {attempt}/{of}...",
+    genTokens: "🔢 טוקנים: {prompt} נכנסו · {output} יצאו",
+    genReady: "🧾 הבלופרינט מוכן.",
+    genCancelled: "🛑 היצירה בוטלה.",
+    genBroke: "❌ היצירה נכשלה.",
+    genFailed: "❌ היצירה נכשלה: {error}",
+    roleMenuTitle: "🎭 בחרו תפקידים",
+    roleMenuButtonHint: "לחצו על כפתור כדי לקבל תפקיד, ולחיצה נוספת מסירה אותו.",
+    roleMenuSelectHint: "בחרו את התפקידים שתרצו; מה שלא נבחר יוסר.",
+    roleMenuPlaceholder: "בחירת תפקידים",
+    roleMenuAdded: "✅ נוספו: {roles}",
+    roleMenuRemoved: "➖ הוסרו: {roles}",
+    roleMenuRefused: "❌ אני לא יכול לתת את {roles} (מעל התפקיד שלי או עם הרשאות צוות).",
+    roleMenuNoChange: "👌 התפקידים שלך כבר מעודכנים.",
+    roleMenuGone: "❌ תפריט התפקידים הזה כבר לא פעיל.",
+    roleMenuFailed: "❌ לא הצלחתי לעדכן את התפקידים שלך: {error}",
+    verifyTitle: "🛡️ אימות",
+    verifyDescription: "קראו את החוקים למעלה ולחצו על הכפתור כדי לפתוח את שאר השרת.",
+    verifyButton: "אני מסכים/ה לחוקים",
+    verifyDone: "✅ אומתת — ברוכים הבאים! שאר השרת פתוח עכשיו.",
+    verifyAlready: "👌 כבר אומתת.",
+    verifyGone: "❌ כפתור האימות הזה כבר לא פעיל.",
+    verifyBroken: "❌ אני לא יכול לתת את תפקיד האימות (חסר, מעל התפקיד שלי או עם הרשאות צוות). פנו למנהל.",
+    verifyFailed: "❌ לא הצלחתי לאמת אותך: {error}",
+    ticketPanelTitle: "🎫 פניות לצוות",
+    ticketPanelDescription: "צריכים עזרה מהצוות? לחצו על הכפתור כדי לפתוח פנייה פרטית.",
+    ticketOpenButton: "פתיחת פנייה",
+    ticketWelcome: "{user}, תודה שפנית! תארו את הבעיה ואיש צוות יחזור אליכם בהקדם.",
+    ticketClaimButton: "לקיחה",
+    ticketCloseButton: "סגירה",
+    ticketOpened: "✅ הפנייה שלך נפתחה: {channel}",
+    ticketAlreadyOpen: "ℹ️ כבר יש לך פנייה פתוחה: {channel}",
+    ticketFailed: "❌ לא הצלחתי לפתוח פנייה: {error}",
+    ticketGone: "❌ לוח הפניות הזה כבר לא פעיל.",
+    ticketClosed: "❌ הפנייה הזו כבר סגורה.",
+    ticketStaffOnly: "❌ רק הצוות יכול לקחת פניות.",
+    ticketCloseDenied: "❌ רק מי שפתח את הפנייה או הצוות יכולים לסגור אותה.",
+    ticketClaimed: "🙋 {user} לקח/ה את הפנייה.",
+    ticketClaimedAlready: "ℹ️ {user} כבר לקח/ה את הפנייה.",
+    ticketClosing: "🔒 {user} סגר/ה את הפנייה.",
+    interactionFailed: "❌ משהו השתבש: {error}",
+    jobQueued: "⏳ `#{id}` ממתין בתור אחרי **{ahead}** משימות. עקבו אחריו עם `/jobs status`.",
+    jobRateLimited: "⏳ Discord הגביל את הקצב, ניסיון חוזר בעוד {wait} שניות",
+    jobsNoMatch: "ℹ️ אין משימה פעילה או ממתינה כזו.",
+    jobsCancelledQueued: "🛑 המשימה הממתינה `#{id}` ({kind}) בוטלה.",
+    jobsCancelling: "🛑 מבטל את `#{id}` ({kind}) — היא תיעצר אחרי השלב הנוכחי.",
+    jobsRunning: "רצה",
+    jobsQueued: "בתור",
+    jobsRecent: "אחרונות",
+    jobsNone: "📭 אין עדיין משימות.",
+    statusQueued: "בתור",
+    statusRunning: "רצה",
+    statusDone: "הסתיימה",
+    statusFailed: "נכשלה",
+    statusCancelled: "בוטלה",
+    statusInterrupted: "נקטעה",
+    editQueueing: "⏳ מכניס את בקשת העריכה לתור...",
+    editConverting: "🧠 ה-AI הופך את העריכות לפעולות...",
+    editReady: "🧾 העריכות מוכנות.",
+    editStopped: "🛑 בקשת העריכה בוטלה.",
+    editBroke: "❌ העריכה נכשלה.",
+    editFailed: "❌ העריכה נכשלה: {error}",
+    editNone: "ℹ️ ה-AI לא מצא עריכות לביצוע.",
+    editPlanTitle: "🧾 תוכנית עריכה",
+    editPlanLegend: "🟢 בטוח · 🔴 הרסני ({destructive}) · ⛔ נחסם במדיניות ({blocked})\nשום דבר לא משתנה עד שתלחצו על **החלה**.",
+    editApply: "החלה ({count})",
+    editApplySelected: "החלת הנבחרות",
+    editPickPlaceholder: "בחרו את הפעולות להחלה",
+    editSafe: "בטוח",
+    editDestructive: "הרסני",
+    editExpired: "⌛ תוכנית העריכה הזו פגה. הריצו את הפקודה שוב.",
+    editOwnerOnly: "❌ רק המנהל שביקש את העריכות יכול להחיל אותן.",
+    editCancelled: "🚫 העריכות בוטלו. שום דבר לא השתנה.",
+    editApplying: "✏️ מחיל **{count}** פעולות...",
+    undoHint: "↩️ לביטול: `/undo id:{id}`",
+    policyRoleCeiling: "התפקיד {role} נמצא ב-{ceiling} או מעליו",
+    policyPackCeiling: "ה-permPack {pack} מגיע ל-{ceiling} או מעליו",
+    policyProtected: "הקטגוריה {category} מוגנת",
+    verifyOff: "🛡️ האימות **כבוי**. הפעילו אותו עם `/verification enable`.",
+    verifyOn: "🛡️ האימות **פעיל**",
+    verifyButtonIn: "כפתור: {channel}",
+    verifyGrants: "מעניק: {roles}",
+    verifyHidden: "מוסתר עד האימות: {channels}",
+    verifyHiddenNone: "מוסתר עד האימות: כלום",
+    verifyNotEnabled: "ℹ️ האימות לא פעיל.",
+    verifyDisableQueueing: "⏳ מכניס את הסרת האימות לתור...",
+    verifyDisabling: "🔓 מסיר את שער האימות...",
+    verifyDisabled: "✅ האימות בוטל. לביטול: `/undo id:{id}` (הכפתור לא יפורסם מחדש).",
+    verifyDisableBroke: "❌ ביטול האימות נכשל.",
+    verifyDisableFailed: "❌ ביטול האימות נכשל: {error}",
+    verifyNoRules: "❌ לא נמצא ערוץ #rules. בחרו ערוץ עם האפשרות `channel`.",
+    verifySetupQueueing: "⏳ מכניס את הגדרת האימות לתור...",
+    verifySettingUp: "🛡️ מגדיר את האימות...",
+    verifyMembers: "👥 מאמת את החברים הקיימים...",
+    verifyMembersProgress: "👥 מאמת את החברים הקיימים",
+    verifyEnabled: "✅ האימות הופעל ב-{channel}: {count} קטגוריות/ערוצים מוסתרים עד האימות.",
+    verifyMembersDone: "👥 {count} חברים קיימים אומתו.",
+    verifySetupStopped: "🛑 הגדרת האימות בוטלה.",
+    verifySetupBroke: "❌ הגדרת האימות נכשלה.",
+    verifySetupFailed: "❌ הגדרת האימות נכשלה: {error}",
+    cooldownUser: "⏳ שלחת בקשות AI מהר מדי. נסו שוב <t:{at}:R>.",
+    cooldownGuild: "⏳ השרת שולח עכשיו הרבה בקשות AI. נסו שוב <t:{at}:R>.",
+    quotaUser: "🪫 ניצלת את {limit} בקשות ה-AI שלך להיום. בקשות נוספות יתאפשרו <t:{at}:R>.",
+    quotaGuild: "🪫 השרת ניצל את {limit} בקשות ה-AI שלו להיום. בקשות נוספות יתאפשרו <t:{at}:R>."
+  }
+};
+
+// `joiner` separates the two languages in EN+HE (" / " for labels and field names)
+function tr(lang, key, vars = {}, joiner = "\n") {
+  const langs = lang === "EN+HE" ? ["EN", "HE"] : [STRINGS[lang] ? lang : "EN"];
+  return langs
+    .map(l => (STRINGS[l][key] ?? STRINGS.EN[key]).replace(/\{(\w+)\}/g, (m, k) => (vars[k] ?? m)))
+    .join(joiner);
+}
+
+function localeLanguage(guild) {
+  return String(guild.preferredLocale || "").startsWith("he") ? "HE" : "EN";
+}
+
+// The language of the last blueprint built here, else the server's community locale
+function guildLanguage(guild) {
+  return loadGuildState(guild.id).language || localeLanguage(guild);
+}
+
 // ==============================
 // Helpers
 // ==============================
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
 function requireAdmin(interaction) {
   const member = interaction.member;
   return !!member?.permissions?.has(PermissionsBitField.Flags.Administrator);
@@ -83,321 +499,3097 @@ async function safeReply(interaction, content) {
   }
 }
 
-async function apiPost(endpoint, body) {
-  const r = await fetch(`${API_BASE}${endpoint}`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body)
-  });
-  const data = await r.json().catch(() => ({}));
-  if (!r.ok) throw new Error(data.error || `API error ${r.status}`);
-  return data;
+const API_MAX_RETRIES = 3;
+// Longer waits (rate limits, daily quotas) go back to the user instead of holding up the guild's queue
+const API_MAX_RETRY_WAIT_SEC = 5;
+
+function apiError(data, status) {
+  const err = new Error(data.error || `API error ${status}`);
+  if (status === 401) err.message += " (is API_SECRET the same for the bot and the API?)";
+  err.details = Array.isArray(data.errors) ? describeErrors(data.errors) : [];
+  err.status = status;
+  err.code = data.code || null;
+  err.scope = data.scope || null;
+  err.limit = data.limit ?? null;
+  err.resetAt = data.resetAt || null;
+  return err;
 }
 
-function normalizeChannelName(name) {
-  return String(name || "")
-    .trim()
-    .toLowerCase()
-    .replace(/\s+/g, "-")
-    .replace(/[^a-z0-9\-]/g, "-")
-    .replace(/\-+/g, "-")
-    .replace(/^\-|\-$/g, "")
-    .slice(0, 90);
+// The guild and user an API call acts for; the API limits and bills generations by them
+function apiActor(interaction) {
+  return { guildId: interaction.guild?.id || "", userId: interaction.user?.id || "" };
 }
 
-// ==============================
-// Build Engine (Blueprint JSON)
-// ==============================
-async function buildFromBlueprint(guild, blueprint) {
-  const state = readState();
-  state[guild.id] = state[guild.id] || { roles: {}, categories: {}, channels: {} };
-
-  // Create roles
-  for (const r of blueprint.roles) {
-    const created = await guild.roles.create({
-      name: r.name,
-      color: r.color,
-      hoist: !!r.hoist,
-      mentionable: !!r.mentionable,
-      permissions: PERM_PACKS[r.permPack] || []
+async function apiFetch(method, endpoint, body, { signal, actor = {} } = {}) {
+  const payload = body === null ? "" : JSON.stringify(body);
+  for (let attempt = 0; ; attempt++) {
+    const r = await fetch(`${API_BASE}${endpoint}`, {
+      method,
+      // Signed per attempt so a retry doesn't go out with a stale timestamp
+      headers: { "Content-Type": "application/json", ...signedHeaders(API_SECRET, { method, path: endpoint, body: payload, ...actor }) },
+      body: body === null ? undefined : payload,
+      signal
     });
-    state[guild.id].roles[r.key] = created.id;
+    if (r.status !== 429 || attempt >= API_MAX_RETRIES) return r;
+
+    // Back off (Retry-After when the API sends it, else 1s, 2s, 4s)
+    const retryAfter = Number(r.headers.get("retry-after"));
+    if (retryAfter > API_MAX_RETRY_WAIT_SEC) return r;
+    await sleep(retryAfter * 1000 || 1000 * 2 ** attempt, signal);
   }
+}
 
-  // Best-effort reorder (puts first roles higher)
-  try {
-    const roleIds = blueprint.roles
-      .map(r => state[guild.id].roles[r.key])
-      .filter(Boolean);
+async function apiRequest(method, endpoint, body = null, opts = {}) {
+  const r = await apiFetch(method, endpoint, body, opts);
+  const data = await r.json().catch(() => ({}));
+  if (!r.ok) throw apiError(data, r.status);
+  return data;
+}
 
-    let base = guild.roles.highest.position - 1;
-    const positions = roleIds.map(id => ({ id, position: base-- }));
-    await guild.roles.setPositions(positions);
-  } catch {
-    // not fatal
+function apiPost(endpoint, body, opts) {
+  return apiRequest("POST", endpoint, body, opts);
+}
+
+// NDJSON streaming endpoints: every event goes to onEvent; resolves with the "done" event
+async function apiStream(endpoint, body, { signal, actor, onEvent = () => {} } = {}) {
+  const r = await apiFetch("POST", endpoint, body, { signal, actor });
+  if (!r.ok) throw apiError(await r.json().catch(() => ({})), r.status);
+
+  for await (const event of readNDJSON(r.body)) {
+    if (event.type === "error") throw apiError(event, r.status);
+    if (event.type === "done") return event;
+    await onEvent(event);
   }
+  throw new Error("API stream ended early");
+}
 
-  const EVERYONE_ID = guild.roles.everyone.id;
+// Friendly text for the API's rate limit and daily quota answers; null for any other error
+function cooldownMessage(lang, err) {
+  if (err.status !== 429 || !err.code) return null;
+  const at = Math.ceil(Date.parse(err.resetAt || "") / 1000) || Math.ceil(Date.now() / 1000) + 60;
+  const key = `${err.code === "quota" ? "quota" : "cooldown"}${err.scope === "guild" ? "Guild" : "User"}`;
+  return tr(lang, key, { limit: err.limit, at });
+}
 
-  const getRoleIdByKey = (key) => state[guild.id].roles[key];
+// ==============================
+// Build Engine (Blueprint JSON)
+// ==============================
+function roleSnapshot(role) {
+  return {
+    name: role.name,
+    color: role.hexColor,
+    hoist: role.hoist,
+    mentionable: role.mentionable,
+    permissions: role.permissions.bitfield.toString()
+  };
+}
 
-  function convertOverwrite(ow) {
-    let id = null;
-    if (ow.target === "@everyone") id = EVERYONE_ID;
-    if (ow.targetRoleKey) id = getRoleIdByKey(ow.targetRoleKey);
-    if (!id) return null;
+function serializeOverwrites(channel) {
+  return [...channel.permissionOverwrites.cache.values()].map(o => ({
+    id: o.id,
+    type: o.type,
+    allow: o.allow.bitfield.toString(),
+    deny: o.deny.bitfield.toString()
+  }));
+}
 
-    const allow = (ow.allow || []).map(p => PermissionsBitField.Flags[p]).filter(Boolean);
-    const deny  = (ow.deny  || []).map(p => PermissionsBitField.Flags[p]).filter(Boolean);
-    return { id, allow, deny };
+function channelSnapshot(channel) {
+  const snap = { name: channel.name, permissionOverwrites: serializeOverwrites(channel) };
+  if (channel.type === ChannelType.GuildCategory) return snap;
+
+  snap.parent = channel.parentId ?? null;
+  if (VOICE_TYPES.includes(channelTypeName(channel.type))) {
+    snap.bitrate = channel.bitrate;
+    snap.userLimit = channel.userLimit;
+  } else {
+    snap.topic = channel.topic ?? null;
+    if (channel.type !== ChannelType.GuildAnnouncement) snap.rateLimitPerUser = channel.rateLimitPerUser ?? 0;
   }
+  return snap;
+}
 
-  // Create categories + channels
-  for (const cat of blueprint.categories) {
-    const overwrites = (cat.overwrites || []).map(convertOverwrite).filter(Boolean);
-
-    const category = await guild.channels.create({
-      name: cat.name,
-      type: ChannelType.GuildCategory,
-      permissionOverwrites: overwrites
-    });
+function messageSnapshot(message) {
+  return {
+    content: message.content || null,
+    embeds: message.embeds.map(e => (e.toJSON ? e.toJSON() : e)),
+    components: (message.components || []).map(c => (c.toJSON ? c.toJSON() : c))
+  };
+}
 
-    state[guild.id].categories[cat.key] = category.id;
+function roleNeedsUpdate(role, wanted) {
+  return role.name !== wanted.name ||
+    role.hexColor.toLowerCase() !== String(wanted.color).toLowerCase() ||
+    role.hoist !== wanted.hoist ||
+    role.mentionable !== wanted.mentionable ||
+    role.permissions.bitfield !== new PermissionsBitField(wanted.permissions).bitfield;
+}
 
-    for (const ch of cat.channels) {
-      const channel = await guild.channels.create({
-        name: normalizeChannelName(ch.name),
-        type: ChannelType.GuildText,
-        parent: category.id,
-        topic: ch.topic || null,
-        rateLimitPerUser: Math.max(0, Number(ch.slowmode || 0))
-      });
+function overwritesMatch(channel, overwrites) {
+  const sig = (list) => list
+    .map(o => `${o.id}:${new PermissionsBitField(o.allow).bitfield}:${new PermissionsBitField(o.deny).bitfield}`)
+    .sort()
+    .join("|");
+  return sig([...channel.permissionOverwrites.cache.values()]) === sig(overwrites);
+}
 
-      state[guild.id].channels[ch.key] = channel.id;
-    }
+function diffFields(current, wanted) {
+  const patch = {};
+  for (const [k, v] of Object.entries(wanted)) {
+    const same = v && typeof v === "object" ? JSON.stringify(current[k]) === JSON.stringify(v) : current[k] === v;
+    if (!same) patch[k] = v;
   }
+  return patch;
+}
+
+// {{role:key}} / {{channel:key}} become mentions of what the build created for those keys;
+// keys that weren't built fall back to plain text
+function mentionResolver(gs, blueprint) {
+  const roleNames = new Map(blueprint.roles.map(r => [r.key, r.name]));
+  return (text) => replacePlaceholders(text, (kind, key) => {
+    if (kind === "role") return gs.roles[key] ? `<@&${gs.roles[key]}>` : `@${roleNames.get(key) || key}`;
+    return gs.channels[key] ? `<#${gs.channels[key]}>` : `#${key}`;
+  });
+}
 
-  // Starter messages
-  for (const msg of blueprint.messages || []) {
-    const channelId = state[guild.id].channels[msg.channelKey];
-    if (!channelId) continue;
+function starterEmbed(msg, text, mention) {
+  const embed = new EmbedBuilder()
+    .setTitle(mention(text.title || msg.title) || "Message")
+    .setDescription(mention(text.description) || null);
+  if (msg.color) embed.setColor(msg.color);
+  if (text.fields?.length) embed.addFields(text.fields.map(f => ({ name: mention(f.name), value: mention(f.value), inline: !!f.inline })));
+  if (text.footer) embed.setFooter({ text: mention(text.footer) });
+  if (msg.thumbnail) embed.setThumbnail(msg.thumbnail);
+  if (msg.image) embed.setImage(msg.image);
+  return embed;
+}
 
-    const channel = await guild.channels.fetch(channelId).catch(() => null);
-    if (!channel || !channel.isTextBased()) continue;
+// EN+HE servers get the Hebrew version (msg.he) as a second embed, or under the English text.
+// Mentions never ping: starter messages are posted in bulk.
+function starterMessagePayload(msg, language = "EN", mention = (text) => String(text ?? "")) {
+  const he = language === "EN+HE" ? msg.he : null;
+  const payload = { allowedMentions: { parse: [] }, components: [] };
 
-    if (msg.type === "embed") {
-      const embed = new EmbedBuilder()
-        .setTitle(msg.title || "Message")
-        .setDescription(msg.description || "");
-      await channel.send({ embeds: [embed] });
-    } else if (msg.type === "text") {
-      await channel.send({ content: msg.content || "" });
-    }
+  if (msg.buttons?.length) {
+    payload.components.push(new ActionRowBuilder().addComponents(
+      msg.buttons.map(b => new ButtonBuilder().setLabel(b.label).setURL(b.url).setStyle(ButtonStyle.Link))
+    ));
   }
 
-  writeState(state);
+  if (msg.type === "embed") {
+    payload.embeds = [starterEmbed(msg, msg, mention)];
+    if (he) payload.embeds.push(starterEmbed(msg, he, mention));
+    return payload;
+  }
+  if (msg.type === "text") {
+    const content = mention(msg.content) + (he?.content ? `\n\n${mention(he.content)}` : "");
+    return { ...payload, content: content.slice(0, 2000) };
+  }
+  return null;
 }
 
-// ==============================
-// Edit Engine (Actions JSON)
-// ==============================
-function findRoleByName(guild, name) {
-  const n = String(name || "").trim().toLowerCase();
-  return guild.roles.cache.find(r => r.name.toLowerCase() === n) || null;
-}
-function findTextChannelByName(guild, name) {
-  const n = normalizeChannelName(name);
-  return guild.channels.cache.find(c => c.type === ChannelType.GuildText && c.name === n) || null;
+// Compares a posted message with a starter message or role menu payload
+function messageUnchanged(existing, payload) {
+  const embedSig = (embeds) => JSON.stringify(embeds.map(e => [
+    e.title, e.description || null, e.color ?? null, (e.fields || []).map(f => [f.name, f.value, !!f.inline]),
+    e.footer?.text || null, e.thumbnail?.url || null, e.image?.url || null
+  ]));
+  const componentSig = (rows) => JSON.stringify(rows.map(r => (r.toJSON ? r.toJSON() : r).components.map(c => [
+    c.type, c.custom_id ?? null, c.label ?? null, c.url ?? null, (c.options || []).map(o => [o.label, o.value]), c.max_values ?? null
+  ])));
+
+  if (componentSig(existing.components || []) !== componentSig(payload.components)) return false;
+  if (payload.embeds) return embedSig(existing.embeds) === embedSig(payload.embeds.map(e => e.data));
+  return existing.content === payload.content;
 }
-function findCategoryByName(guild, name) {
-  const n = String(name || "").trim().toLowerCase();
-  return guild.channels.cache.find(c => c.type === ChannelType.GuildCategory && c.name.toLowerCase() === n) || null;
+
+// Edits a message the bot posted before (`posted` = { channelId, messageId }) if it still
+// exists, or sends a new one
+async function postOrUpdateMessage(channel, posted, payload, key, changeset = null) {
+  const existing = posted?.channelId === channel.id
+    ? await channel.messages.fetch(posted.messageId).catch(() => null)
+    : null;
+  if (!existing) {
+    const sent = await channel.send(payload);
+    changeset?.created("message", sent, { key, channelId: channel.id });
+    return sent;
+  }
+  if (!messageUnchanged(existing, payload)) {
+    const before = messageSnapshot(existing);
+    await existing.edit({ content: null, embeds: [], ...payload });
+    changeset?.updated("message", existing, before, { channelId: channel.id });
+  }
+  return existing;
 }
 
-async function executeEdits(guild, edits) {
-  const out = [];
+// Reconciles the guild with the blueprint: objects tracked in guild_state.json, or matched
+// by name in the plan, are updated in place, missing ones are created, and progress is saved after every step
+// so an interrupted build can be resumed by running it again.
+async function buildFromBlueprint(guild, blueprint, { plan = null, changeset = null, signal = null, onProgress = null } = {}) {
+  const gs = loadGuildState(guild.id);
+  const save = () => saveGuildState(guild.id, gs, [...TRACKED_FIELDS, "build", "language"]);
+
+  // Templates skip the API's defaults, so the gate's category overwrites are applied here too
+  if (blueprint.verification?.enabled) blueprint = applyVerificationGate(structuredClone(blueprint));
+
+  // Counts the item being worked on; a cancel lands between API calls, never inside one
+  const totals = {
+    roles: blueprint.roles.length,
+    categories: blueprint.categories.length,
+    channels: blueprint.categories.reduce((n, c) => n + c.channels.length, 0),
+    messages: (blueprint.messages || []).length + (blueprint.roleMenus || []).length +
+      (blueprint.verification?.enabled ? 1 : 0) + (blueprint.tickets?.enabled ? 1 : 0)
+  };
+  const done = { roles: 0, categories: 0, channels: 0, messages: 0 };
+  const step = (kind) => {
+    signal?.throwIfAborted();
+    if (kind) done[kind]++;
+    onProgress?.({ done: { ...done }, totals });
+  };
+
+  gs.build = { name: blueprint.name, blueprint, status: "running", startedAt: new Date().toISOString() };
+  gs.language = blueprint.language || "EN";
+  save();
+
+  // Plan decisions by key (reuse existing ids, skip invalid entries)
+  const planned = { roles: {}, categories: {}, channels: {} };
+  for (const kind of Object.keys(planned)) {
+    for (const item of plan?.[kind] || []) planned[kind][item.key] = item;
+  }
 
-  for (const a of edits.actions || []) {
-    try {
-      if (a.action === "edit_role_color") {
-        const role = findRoleByName(guild, a.roleName);
-        if (!role) { out.push(`❌ Role not found: ${a.roleName}`); continue; }
+  const warnings = [];
+  const me = guild.members.me;
+  const canManageRole = (role) => !me || role.position < me.roles.highest.position;
 
-        const me = guild.members.me;
-        if (me && role.position >= me.roles.highest.position) {
-          out.push(`❌ Can't edit role (too high): ${role.name}`);
-          continue;
+  try {
+    step(null);
+
+    // Roles
+    for (const r of blueprint.roles) {
+      step("roles");
+      const p = planned.roles[r.key];
+      if (p?.action === "skip") continue;
+
+      const wanted = {
+        name: r.name,
+        color: r.color,
+        hoist: !!r.hoist,
+        mentionable: !!r.mentionable,
+        permissions: rolePermissions(r)
+      };
+
+      let existing = guild.roles.cache.get(gs.roles[r.key]);
+      // A role matched by name is adopted, then patched like a tracked one
+      if (!existing && p?.action === "reuse" && guild.roles.cache.has(p.id)) {
+        existing = guild.roles.cache.get(p.id);
+        gs.roles[r.key] = existing.id;
+        save();
+      }
+      if (existing) {
+        if (canManageRole(existing) && roleNeedsUpdate(existing, wanted)) {
+          const before = roleSnapshot(existing);
+          await existing.edit(wanted);
+          changeset?.updated("role", existing, before);
         }
-
-        await role.setColor(a.color);
-        out.push(`✅ Role **${role.name}** color -> **${a.color}**`);
         continue;
       }
 
-      if (a.action === "rename_role") {
-        const role = findRoleByName(guild, a.roleName);
-        if (!role) { out.push(`❌ Role not found: ${a.roleName}`); continue; }
+      const created = await guild.roles.create(wanted);
+      gs.roles[r.key] = created.id;
+      changeset?.created("role", created, { key: r.key });
+      save();
+    }
 
-        const me = guild.members.me;
-        if (me && role.position >= me.roles.highest.position) {
-          out.push(`❌ Can't rename role (too high): ${role.name}`);
-          continue;
-        }
+    // Best-effort reorder (puts first roles higher)
+    try {
+      let base = (me ? me.roles.highest.position : guild.roles.highest.position) - 1;
+      const positions = blueprint.roles
+        .map(r => guild.roles.cache.get(gs.roles[r.key]))
+        .filter(role => role && canManageRole(role))
+        .map(role => ({ id: role.id, position: base-- }));
+      await guild.roles.setPositions(positions);
+    } catch {
+      // not fatal
+    }
 
-        await role.setName(String(a.newName || "").trim().slice(0, 100));
-        out.push(`✅ Role renamed to **${a.newName}**`);
-        continue;
-      }
+    const EVERYONE_ID = guild.roles.everyone.id;
 
-      if (a.action === "rename_channel") {
-        const channel = findTextChannelByName(guild, a.channelName);
-        if (!channel) { out.push(`❌ Channel not found: ${a.channelName}`); continue; }
+    const getRoleIdByKey = (key) => gs.roles[key];
 
-        const newName = normalizeChannelName(a.newName);
-        await channel.setName(newName);
-        out.push(`✅ Channel renamed -> **#${newName}**`);
+    function convertOverwrite(ow) {
+      let id = null;
+      if (ow.target === "@everyone") id = EVERYONE_ID;
+      if (ow.targetRoleKey) id = getRoleIdByKey(ow.targetRoleKey);
+      if (!id) return null;
+
+      const allow = (ow.allow || []).map(p => PermissionsBitField.Flags[p]).filter(Boolean);
+      const deny  = (ow.deny  || []).map(p => PermissionsBitField.Flags[p]).filter(Boolean);
+      return { id, allow, deny };
+    }
+
+    // Categories + channels
+    for (const cat of blueprint.categories) {
+      step("categories");
+      const p = planned.categories[cat.key];
+      if (p?.action === "skip") {
+        done.channels += cat.channels.length;
         continue;
       }
 
-      if (a.action === "rename_category") {
-        const cat = findCategoryByName(guild, a.categoryName);
-        if (!cat) { out.push(`❌ Category not found: ${a.categoryName}`); continue; }
+      const overwrites = (cat.overwrites || []).map(convertOverwrite).filter(Boolean);
 
-        await cat.setName(String(a.newName || "").trim().slice(0, 100));
-        out.push(`✅ Category renamed -> **${a.newName}**`);
-        continue;
+      let categoryId;
+      let existing = guild.channels.cache.get(gs.categories[cat.key]);
+      if (!existing && p?.action === "reuse" && guild.channels.cache.has(p.id)) {
+        existing = guild.channels.cache.get(p.id);
+        gs.categories[cat.key] = existing.id;
+        save();
+      }
+      if (existing) {
+        const patch = diffFields({ name: existing.name }, { name: cat.name });
+        if (!overwritesMatch(existing, overwrites)) patch.permissionOverwrites = overwrites;
+        if (Object.keys(patch).length) {
+          const before = channelSnapshot(existing);
+          await existing.edit(patch);
+          changeset?.updated("category", existing, before);
+        }
+        categoryId = existing.id;
+      } else {
+        const created = await guild.channels.create({
+          name: cat.name,
+          type: ChannelType.GuildCategory,
+          permissionOverwrites: overwrites
+        });
+        categoryId = created.id;
+        changeset?.created("category", created, { key: cat.key });
+        gs.categories[cat.key] = categoryId;
+        save();
       }
 
-      if (a.action === "create_channel") {
-        const cat = findCategoryByName(guild, a.inCategoryName);
-        if (!cat) { out.push(`❌ Category not found: ${a.inCategoryName}`); continue; }
+      for (const ch of cat.channels) {
+        step("channels");
+        const pc = planned.channels[ch.key];
+        if (pc?.action === "skip") continue;
+
+        const type = resolveChannelType(guild, ch.type);
+        if (type !== (ch.type || "text")) warnings.push(`⚠️ ${channelLabel(ch.type, ch.name)} needs Community; created as ${type}`);
+
+        const wanted = { ...channelSettings(guild, ch, type), parent: categoryId };
+        if (Number(ch.bitrate) > wanted.bitrate) warnings.push(`⚠️ ${channelLabel(type, ch.name)}: bitrate lowered to ${wanted.bitrate} (the server's boost level limit)`);
+        // Channels without their own overwrites inherit (sync with) the category
+        const chOverwrites = (ch.overwrites || []).map(convertOverwrite).filter(Boolean);
+
+        let channel = guild.channels.cache.get(gs.channels[ch.key]);
+        if (!channel && pc?.action === "reuse" && guild.channels.cache.has(pc.id)) {
+          channel = guild.channels.cache.get(pc.id);
+          gs.channels[ch.key] = channel.id;
+          save();
+        }
+        if (channel && channel.type !== CHANNEL_TYPE_IDS[type]) {
+          warnings.push(`⚠️ ${channelLabel(type, ch.name)} changed type; created a new channel and left the old one`);
+          channel = null;
+        }
+
+        if (channel) {
+          const patch = diffFields(currentChannelSettings(channel), wanted);
+          if (patch.availableTags) {
+            // Keep ids of tags that already exist so posts stay tagged
+            patch.availableTags = patch.availableTags.map(t => ({ ...t, id: (channel.availableTags || []).find(x => x.name === t.name)?.id }));
+          }
+          if (chOverwrites.length && !overwritesMatch(channel, chOverwrites)) patch.permissionOverwrites = chOverwrites;
+
+          if (Object.keys(patch).length) {
+            const before = channelSnapshot(channel);
+            await channel.edit(patch);
+            changeset?.updated("channel", channel, before);
+          }
+          if (!chOverwrites.length && channel.permissionsLocked === false) {
+            const before = channelSnapshot(channel);
+            await channel.lockPermissions();
+            changeset?.updated("channel", channel, before);
+          }
+          continue;
+        }
 
-        const name = normalizeChannelName(a.createChannelName);
         const created = await guild.channels.create({
-          name,
-          type: ChannelType.GuildText,
-          parent: cat.id
+          ...wanted,
+          type: CHANNEL_TYPE_IDS[type],
+          ...(chOverwrites.length ? { permissionOverwrites: chOverwrites } : {})
         });
+        gs.channels[ch.key] = created.id;
+        changeset?.created("channel", created, { key: ch.key });
+        save();
+      }
+    }
 
-        out.push(`✅ Created **#${created.name}** in **${cat.name}**`);
-        continue;
+    // Guild AFK channel + timeout
+    const afkId = blueprint.afk ? gs.channels[blueprint.afk.channelKey] : null;
+    if (afkId && guild.channels.cache.get(afkId)?.type === ChannelType.GuildVoice) {
+      const afkTimeout = AFK_TIMEOUTS.includes(Number(blueprint.afk.timeout)) ? Number(blueprint.afk.timeout) : 300;
+      if (guild.afkChannelId !== afkId || guild.afkTimeout !== afkTimeout) {
+        const before = { afkChannel: guild.afkChannelId, afkTimeout: guild.afkTimeout };
+        await guild.edit({ afkChannel: afkId, afkTimeout });
+        changeset?.updated("guild", guild, before);
       }
+    }
 
-      if (a.action === "lock_channel" || a.action === "unlock_channel") {
-        const channel = findTextChannelByName(guild, a.channelName);
-        if (!channel) { out.push(`❌ Channel not found: ${a.channelName}`); continue; }
+    // Starter messages (edited in place if they were already posted)
+    const mention = mentionResolver(gs, blueprint);
+    for (const [i, msg] of (blueprint.messages || []).entries()) {
+      step("messages");
+      const channelId = gs.channels[msg.channelKey];
+      if (!channelId) continue;
 
-        const everyoneId = guild.roles.everyone.id;
+      const channel = await guild.channels.fetch(channelId).catch(() => null);
+      if (!channel || !channel.isTextBased()) continue;
 
-        if (a.action === "lock_channel") {
-          await channel.permissionOverwrites.edit(everyoneId, { SendMessages: false });
-          out.push(`🔒 Locked **#${channel.name}**`);
-        } else {
-          await channel.permissionOverwrites.edit(everyoneId, { SendMessages: null });
-          out.push(`🔓 Unlocked **#${channel.name}**`);
-        }
-        continue;
+      const payload = starterMessagePayload(msg, blueprint.language, mention);
+      if (!payload) continue;
+
+      const msgKey = `${msg.channelKey}:${i}`;
+      const message = await postOrUpdateMessage(channel, gs.messages[msgKey], payload, msgKey, changeset);
+      if (gs.messages[msgKey]?.messageId !== message.id) {
+        gs.messages[msgKey] = { channelId: channel.id, messageId: message.id };
+        save();
       }
 
-      if (a.action === "set_slowmode") {
-        const channel = findTextChannelByName(guild, a.channelName);
-        if (!channel) { out.push(`❌ Channel not found: ${a.channelName}`); continue; }
+      // Pins follow the blueprint when it says; a missing permission shouldn't fail the build
+      if (typeof msg.pin === "boolean" && message.pinned !== msg.pin) {
+        await (msg.pin ? message.pin() : message.unpin())
+          .catch(e => warnings.push(`⚠️ Couldn't ${msg.pin ? "pin" : "unpin"} the message in #${channel.name}: ${e.message}`));
+      }
+    }
 
-        const seconds = Math.max(0, Number(a.slowmode || 0));
-        await channel.setRateLimitPerUser(seconds);
-        out.push(`⏱️ Slowmode **#${channel.name}** -> **${seconds}s**`);
+    // Role menus (the handler finds them by message id in gs.roleMenus, so they survive restarts)
+    for (const [i, menu] of (blueprint.roleMenus || []).entries()) {
+      step("messages");
+      const channelId = gs.channels[menu.channelKey];
+      const channel = channelId ? await guild.channels.fetch(channelId).catch(() => null) : null;
+      if (!channel || !channel.isTextBased()) continue;
+
+      const roles = menu.roles.filter(key => gs.roles[key]).map(key => ({ id: gs.roles[key], name: blueprint.roles.find(r => r.key === key)?.name || key }));
+      if (!roles.length) {
+        warnings.push(`⚠️ Skipped the role menu in #${channel.name}: none of its roles were built`);
         continue;
       }
 
-      out.push(`⚠️ Unknown action: ${a.action}`);
-    } catch (e) {
-      out.push(`❌ ${a.action} failed: ${e.message}`);
+      const menuKey = `${menu.channelKey}:${i}`;
+      const message = await postOrUpdateMessage(channel, gs.roleMenus[menuKey], roleMenuPayload(menu, roles, blueprint.language), `menu:${menuKey}`, changeset);
+      gs.roleMenus[menuKey] = { channelId: channel.id, messageId: message.id, roleIds: roles.map(r => r.id) };
+      save();
+    }
+
+    // Verification button (the categories and channels it unlocks were gated by their overwrites above)
+    const v = blueprint.verification;
+    if (v?.enabled) {
+      step("messages");
+      const channelId = gs.channels[v.channelKey];
+      const channel = channelId ? await guild.channels.fetch(channelId).catch(() => null) : null;
+      const roleId = gs.roles[v.roleKey];
+      if (!channel?.isTextBased() || !roleId) {
+        warnings.push("⚠️ Skipped the verification button: its channel or role wasn't built");
+      } else {
+        const message = await postOrUpdateMessage(channel, gs.verification, verificationPayload(v, blueprint.language), "verify", changeset);
+        const unlocks = (item) => (item.overwrites || []).some(o => o.targetRoleKey === v.roleKey && o.allow?.includes("ViewChannel"));
+        gs.verification = {
+          channelId: channel.id,
+          messageId: message.id,
+          roleId,
+          memberRoleId: (v.memberRoleKey && gs.roles[v.memberRoleKey]) || null,
+          gatedIds: [
+            ...blueprint.categories.filter(unlocks).map(c => gs.categories[c.key]),
+            ...blueprint.categories.flatMap(c => c.channels.filter(unlocks)).map(ch => gs.channels[ch.key])
+          ].filter(Boolean)
+        };
+        save();
+      }
     }
+
+    // Ticket panel
+    const t = blueprint.tickets;
+    if (t?.enabled) {
+      step("messages");
+      const channelId = gs.channels[t.channelKey];
+      const channel = channelId ? await guild.channels.fetch(channelId).catch(() => null) : null;
+      if (!channel?.isTextBased()) {
+        warnings.push("⚠️ Skipped the ticket panel: its channel wasn't built");
+      } else {
+        const message = await postOrUpdateMessage(channel, gs.tickets, ticketPanelPayload(t, blueprint.language), "tickets", changeset);
+        gs.tickets = {
+          channelId: channel.id,
+          messageId: message.id,
+          mode: t.mode || "channel",
+          staffRoleIds: (t.staffRoleKeys || []).map(key => gs.roles[key]).filter(Boolean),
+          logChannelId: (t.logChannelKey && gs.channels[t.logChannelKey]) || null
+        };
+        save();
+      }
+    }
+  } catch (e) {
+    gs.build.status = signal?.aborted ? "cancelled" : "failed";
+    gs.build.error = e.message;
+    save();
+    throw e;
   }
 
-  return out;
+  gs.build.status = "done";
+  gs.build.finishedAt = new Date().toISOString();
+  save();
+
+  return { warnings };
 }
 
 // ==============================
-// Slash Commands (AI)
+// Jobs (queued, one at a time per guild)
 // ==============================
-const commands = [
-  new SlashCommandBuilder()
-    .setName("buildprompt")
-    .setDescription("AI: Build a server from your prompt")
-    .addStringOption(o =>
-      o.setName("prompt").setDescription("Describe the server you want").setRequired(true)
-    ),
+const JOB_HISTORY_LIMIT = 20;
+const PROGRESS_EDIT_MS = 2000;
+const GUILD_QUEUES = new Map(); // guildId -> { running, waiting: [] } of live jobs
 
-  new SlashCommandBuilder()
-    .setName("editprompt")
-    .setDescription("AI: Edit the server from your prompt")
-    .addStringOption(o =>
-      o.setName("prompt").setDescription("Describe changes you want").setRequired(true)
-    )
-].map(c => c.toJSON());
+function saveJob(job) {
+  store.update("jobs", job.guildId, (list) =>
+    [...list.filter(x => x.id !== job.id), job].sort((a, b) => a.id - b.id).slice(-JOB_HISTORY_LIMIT), []);
+}
+function listJobs(guildId) {
+  return store.get("jobs", guildId) || [];
+}
 
-async function registerCommands() {
-  const token = process.env.BOT_TOKEN;
-  const clientId = process.env.CLIENT_ID;
+// Jobs that were queued or running when the bot stopped can't continue on their own
+function closeInterruptedJobs() {
+  for (const guildId of store.keys("jobs")) {
+    store.update("jobs", guildId, (list) => list.map(job => job.status === "queued" || job.status === "running"
+      ? { ...job, status: "interrupted", finishedAt: new Date().toISOString() }
+      : job), []);
+  }
+}
 
-  if (!token || !clientId) throw new Error("Missing BOT_TOKEN or CLIENT_ID in bot/.env");
+function guildQueue(guildId) {
+  if (!GUILD_QUEUES.has(guildId)) GUILD_QUEUES.set(guildId, { running: null, waiting: [] });
+  return GUILD_QUEUES.get(guildId);
+}
 
-  const rest = new REST({ version: "10" }).setToken(token);
-  await rest.put(Routes.applicationCommands(clientId), { body: commands });
-  console.log("✅ Slash commands registered (global).");
+function progressBar(done, total, width = 12) {
+  const filled = total ? Math.round((done / total) * width) : width;
+  return `${"▰".repeat(filled)}${"▱".repeat(width - filled)} ${total ? Math.round((done / total) * 100) : 100}%`;
 }
 
-// ==============================
-// Client
-// ==============================
-const bot = new Client({
-  intents: [GatewayIntentBits.Guilds]
-});
+function buildProgressText(name, { done, totals }, lang = "EN") {
+  const parts = ["roles", "categories", "channels", "messages"]
+    .filter(k => totals[k])
+    .map(k => `${tr(lang, k, {}, " / ")} ${done[k]}/${totals[k]}`);
+  const sum = (o) => Object.values(o).reduce((a, b) => a + b, 0);
+  return `${tr(lang, "buildProgress", { name })}\n${progressBar(sum(done), sum(totals))}\n${parts.join(" · ")}`;
+}
 
-bot.once("ready", () => {
-  console.log(`✅ Logged in as ${bot.user.tag}`);
-});
+const GENERATION_PHASES = {
+  generating: "genGenerating",
+  parsing: "genParsing",
+  repairing: "genRepairing",
+  validating: "genValidating",
+  expanding: "genExpanding"
+};
 
-bot.on("interactionCreate", async (interaction) => {
-  if (!interaction.isChatInputCommand()) return;
+function generationProgressText(phase, tokens, lang = "EN") {
+  const key = GENERATION_PHASES[phase.phase];
+  const count = tokens ? `\n${tr(lang, "genTokens", tokens, " · ")}` : "";
+  return `${key ? tr(lang, key, phase) : `⚙️ ${phase.phase}...`}${count}`;
+}
 
-  if (!interaction.guild) return safeReply(interaction, "❌ Use this in a server.");
-  if (!requireAdmin(interaction)) return safeReply(interaction, "❌ You need Administrator.");
+// Live job wrapper: edits the original reply (throttled) and falls back to the channel
+// once the interaction token has expired (15 minutes).
+function liveJob(job, interaction, run) {
+  const live = { job, interaction, run, controller: new AbortController(), text: "", lastEditAt: 0, replyDead: false, rateLimitedUntil: 0 };
+  const lang = guildLanguage(interaction.guild);
+
+  live.render = () => {
+    const wait = Math.ceil((live.rateLimitedUntil - Date.now()) / 1000);
+    return `\`#${job.id}\` ${live.text}${wait > 0 ? `\n${tr(lang, "jobRateLimited", { wait })}` : ""}`.slice(0, 1900);
+  };
+  live.progress = async (text, force = false) => {
+    live.text = text;
+    job.progress = text;
+    if (live.replyDead || (!force && Date.now() - live.lastEditAt < PROGRESS_EDIT_MS)) return;
+    live.lastEditAt = Date.now();
+    await interaction.editReply({ content: live.render() }).catch(() => { live.replyDead = true; });
+  };
+  live.notify = async (content) => {
+    try {
+      await interaction.followUp({ content: content.slice(0, 1900), ephemeral: true });
+    } catch {
+      await interaction.channel?.send({ content: `<@${interaction.user.id}> ${content}`.slice(0, 1900) }).catch(() => {});
+    }
+  };
+  return live;
+}
 
-  if (interaction.commandName === "buildprompt") {
-    const prompt = interaction.options.getString("prompt");
-    await interaction.reply({ content: "🧠 AI is generating a blueprint...", ephemeral: true });
+// Queues `run(live)` behind the guild's other jobs. A queued job says so in the reply;
+// a job that starts right away reports its own progress there instead.
+// `exclusive` jobs change the server throughout and hold the guild lock (shared with /undo) while they run;
+// the others (AI calls) take it only around the changes they apply.
+function enqueueJob(interaction, kind, label, run, { exclusive = false } = {}) {
+  const guildId = interaction.guild.id;
+  const job = {
+    id: (listJobs(guildId).at(-1)?.id || 0) + 1,
+    guildId,
+    kind,
+    label: String(label || "").slice(0, 200),
+    userId: interaction.user.id,
+    status: "queued",
+    progress: "",
+    error: null,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    finishedAt: null
+  };
+  saveJob(job);
+
+  const queue = guildQueue(guildId);
+  const ahead = queue.waiting.length + (queue.running ? 1 : 0);
+  queue.waiting.push(Object.assign(liveJob(job, interaction, run), { exclusive }));
+  if (ahead) interaction.editReply({ content: tr(guildLanguage(interaction.guild), "jobQueued", { id: job.id, ahead }) }).catch(() => {});
+  if (!queue.running) drainQueue(guildId);
+  return job;
+}
+
+async function drainQueue(guildId) {
+  const queue = guildQueue(guildId);
+  while (queue.waiting.length) {
+    const live = queue.waiting.shift();
+    queue.running = live;
+    live.job.status = "running";
+    live.job.startedAt = new Date().toISOString();
+    saveJob(live.job);
 
     try {
-      const data = await apiPost("/ai/blueprint", { prompt });
-      const blueprint = data.blueprint;
+      await (live.exclusive ? store.withLock(guildId, () => live.run(live)) : live.run(live));
+      live.job.status = "done";
+    } catch (e) {
+      live.job.status = live.controller.signal.aborted ? "cancelled" : "failed";
+      live.job.error = e.message;
+      // Cooldowns (API rate limits and quotas) aren't failures
+      if (live.job.status === "failed" && e.status !== 429) {
+        await logEvent(live.interaction.guild, "failures", {
+          title: `❌ ${live.job.kind} job #${live.job.id} failed`,
+          description: e.message,
+          user: live.interaction.user,
+          fields: [{ name: "Job", value: live.job.label || live.job.kind }]
+        });
+      }
+    }
+    live.job.finishedAt = new Date().toISOString();
+    saveJob(live.job);
+  }
+  queue.running = null;
+}
 
-      await interaction.followUp({
-        content: `🏗️ Building **${blueprint.name}** (${blueprint.language})...`,
-        ephemeral: true
-      });
+// Running jobs stop at their next step; queued jobs never start
+function cancelJob(guildId, id = null) {
+  const queue = guildQueue(guildId);
+  const running = queue.running && (!id || queue.running.job.id === id) ? queue.running : null;
+  if (running) {
+    running.controller.abort();
+    return running.job;
+  }
+
+  const idx = queue.waiting.findIndex(l => !id || l.job.id === id);
+  if (idx === -1) return null;
+  const [live] = queue.waiting.splice(idx, 1);
+  live.job.status = "cancelled";
+  live.job.finishedAt = new Date().toISOString();
+  saveJob(live.job);
+  live.interaction.editReply({ content: `🛑 \`#${live.job.id}\` cancelled before it started.` }).catch(() => {});
+  return live.job;
+}
+
+// discord.js waits out 429s itself; this just shows the wait on the affected guild's job
+function noteRateLimit(info) {
+  for (const [guildId, queue] of GUILD_QUEUES) {
+    const live = queue.running;
+    if (!live) continue;
+    const guild = live.interaction.guild;
+    if (info.majorParameter !== guildId && !guild.channels.cache.has(info.majorParameter)) continue;
+
+    live.rateLimitedUntil = Date.now() + info.timeToReset;
+    live.progress(live.text, true);
+  }
+}
 
-      await buildFromBlueprint(interaction.guild, blueprint);
+// Build jobs re-plan when they start, since the guild may have changed while queued
+function enqueueBuild(interaction, blueprint, label) {
+  return enqueueJob(interaction, "build", label, async (live) => {
+    const guild = interaction.guild;
+    const plan = planBlueprint(blueprint, snapshotGuild(guild));
+    const buildLog = startBuildLog(guild, label, interaction.user);
+    const changeset = startChangeset(guild.id, "build", label, interaction.user.id, buildLog.entry);
+    const lang = blueprint.language || "EN";
 
-      await interaction.followUp({ content: "✅ AI build complete!", ephemeral: true });
+    let result;
+    try {
+      result = await buildFromBlueprint(guild, blueprint, {
+        plan,
+        changeset,
+        signal: live.controller.signal,
+        onProgress: (p) => live.progress(buildProgressText(blueprint.name, p, lang))
+      });
     } catch (e) {
-      await interaction.followUp({ content: `❌ Build failed: ${e.message}`, ephemeral: true });
+      const cancelled = live.controller.signal.aborted;
+      await buildLog.finish(cancelled ? "🛑 cancelled" : "❌ failed", changeset.id);
+      await live.progress(tr(lang, cancelled ? "buildStopped" : "buildBroke", { name: blueprint.name }), true);
+      await live.notify(cancelled
+        ? tr(lang, "buildCancelled", { id: changeset.id })
+        : tr(lang, "buildFailed", { error: e.message }));
+      throw e;
+    } finally {
+      changeset.finish();
     }
+
+    await buildLog.finish("✅ done", changeset.id, result.warnings);
+    await live.progress(tr(lang, "buildDone", { name: blueprint.name }), true);
+    await live.notify([tr(lang, "buildComplete", { id: changeset.id }), ...result.warnings].join("\n"));
+  }, { exclusive: true });
+}
+
+// ==============================
+// Build Plan (dry-run + confirm)
+// ==============================
+const PLAN_TTL_MS = 15 * 60 * 1000;
+const PENDING_BUILDS = new Map(); // token -> { blueprint, refinements, refining, userId, guildId, expiresAt }
+
+function snapshotGuild(guild) {
+  const gs = loadGuildState(guild.id);
+  return {
+    tracked: { roles: gs.roles, categories: gs.categories, channels: gs.channels },
+    roles: guild.roles.cache
+      .filter(r => r.id !== guild.id && !r.managed)
+      .map(r => ({ id: r.id, name: r.name })),
+    categories: guild.channels.cache
+      .filter(c => c.type === ChannelType.GuildCategory)
+      .map(c => ({ id: c.id, name: c.name })),
+    channels: guild.channels.cache
+      .filter(c => c.type !== ChannelType.GuildCategory)
+      .map(c => ({ id: c.id, name: c.name, type: channelTypeName(c.type), parentId: c.parentId }))
+  };
+}
+
+const PLAN_ICONS = { create: "➕", update: "✏️", reuse: "♻️", skip: "⏭️" };
+
+function planLines(items, label) {
+  const lines = items.map(i => `${PLAN_ICONS[i.action]} ${label(i)}${i.reason ? ` _(${i.reason})_` : ""}`);
+  let value = "";
+  for (const [idx, line] of lines.entries()) {
+    const more = `\n…and ${lines.length - idx} more`;
+    if (value.length + line.length + 1 + more.length > 1024) return value + more;
+    value += (value ? "\n" : "") + line;
   }
+  return value || "—";
+}
 
-  if (interaction.commandName === "editprompt") {
-    const prompt = interaction.options.getString("prompt");
-    await interaction.reply({ content: "🧠 AI is converting edits into actions...", ephemeral: true });
+function planEmbed(blueprint, plan) {
+  const lang = blueprint.language || "EN";
+  const field = (key) => tr(lang, key, {}, " / ");
+  return new EmbedBuilder()
+    .setTitle(tr(lang, "planTitle", { name: blueprint.name }, " · ").slice(0, 256))
+    .setDescription(tr(lang, "planSummary", plan.summary))
+    .addFields(
+      { name: field("roles"), value: planLines(plan.roles, i => i.name) },
+      { name: field("categories"), value: planLines(plan.categories, i => i.name) },
+      { name: field("channels"), value: planLines(plan.channels, i => channelLabel(i.type, i.name)) },
+      { name: field("messages"), value: planLines(plan.messages, i => `${i.roleMenu ? "🎭 " : ""}${i.title || "message"} → ${i.channelKey}`) }
+    );
+}
 
-    try {
-      const data = await apiPost("/ai/edits", { prompt });
-      const edits = data.edits;
+async function sendBuildPlan(interaction, blueprint) {
+  const errors = validateBlueprintSchema(blueprint);
+  if (errors.length) {
+    return interaction.followUp({
+      content: `❌ This blueprint can't be built:\n- ${describeErrors(errors).slice(0, 15).join("\n- ")}`.slice(0, 1900),
+      ephemeral: true
+    });
+  }
 
-      const results = await executeEdits(interaction.guild, edits);
-      await interaction.followUp({ content: results.join("\n").slice(0, 1900), ephemeral: true });
-    } catch (e) {
-      await interaction.followUp({ content: `❌ Edit failed: ${e.message}`, ephemeral: true });
+  const token = interaction.id;
+  const pending = {
+    blueprint,
+    refinements: [],
+    refining: false,
+    userId: interaction.user.id,
+    guildId: interaction.guild.id,
+    expiresAt: Date.now() + PLAN_TTL_MS
+  };
+  PENDING_BUILDS.set(token, pending);
+
+  await interaction.followUp({ ...buildPlanMessage(interaction.guild, token, pending), ephemeral: true });
+}
+
+function buildPlanMessage(guild, token, pending) {
+  const plan = planBlueprint(pending.blueprint, snapshotGuild(guild));
+  const embeds = [planEmbed(pending.blueprint, plan)];
+  const lang = pending.blueprint.language || "EN";
+
+  if (pending.refinements.length) {
+    const turns = pending.refinements.map((r, i) => `\`${i + 1}.\` ${r.instruction.slice(0, 150)}`);
+    const latest = pending.refinements.at(-1).changes;
+    embeds.push(new EmbedBuilder()
+      .setTitle(tr(lang, "refinements", {}, " / "))
+      .setDescription(turns.join("\n").slice(0, 2000))
+      .addFields({ name: tr(lang, "lastChanges", {}, " / "), value: (latest.slice(0, 20).join("\n") || tr(lang, "noChanges", {}, " / ")).slice(0, 1024) }));
+  }
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`build:confirm:${token}`).setLabel(tr(lang, "confirm", {}, " / ")).setStyle(ButtonStyle.Success),
+    new ButtonBuilder().setCustomId(`build:refine:${token}`).setLabel(tr(lang, "refine", {}, " / ")).setStyle(ButtonStyle.Primary),
+    new ButtonBuilder().setCustomId(`build:cancel:${token}`).setLabel(tr(lang, "cancel", {}, " / ")).setStyle(ButtonStyle.Secondary)
+  );
+  return { embeds, components: [row] };
+}
+
+function refineModal(token) {
+  return new ModalBuilder()
+    .setCustomId(`build:refined:${token}`)
+    .setTitle("Refine blueprint")
+    .addComponents(new ActionRowBuilder().addComponents(
+      new TextInputBuilder()
+        .setCustomId("instruction")
+        .setLabel("What should change?")
+        .setStyle(TextInputStyle.Paragraph)
+        .setPlaceholder("e.g. add a trading category and drop memes")
+        .setMaxLength(1000)
+        .setRequired(true)
+    ));
+}
+
+// One refinement turn, queued like any AI job; the plan message comes back with the revised blueprint
+async function refineBuildPlan(interaction, token, pending) {
+  const instruction = interaction.fields.getTextInputValue("instruction").trim();
+  pending.refining = true;
+  await interaction.update({ content: "✏️ Queueing refinement...", components: [] });
+
+  enqueueJob(interaction, "refine", instruction, async (live) => {
+    await live.progress(`✏️ Refining **${pending.blueprint.name}**: _${instruction.slice(0, 200)}_`, true);
+    try {
+      const data = await apiPost("/ai/blueprint/refine", { blueprint: pending.blueprint, instruction }, { signal: live.controller.signal, actor: apiActor(interaction) });
+      pending.blueprint = data.blueprint;
+      pending.refinements.push({ instruction, changes: data.changes });
+    } catch (e) {
+      const details = e.details?.length ? `\n- ${e.details.slice(0, 15).join("\n- ")}` : "";
+      const cooldown = cooldownMessage(pending.blueprint.language || "EN", e);
+      if (!live.controller.signal.aborted) await live.notify(cooldown || `❌ Refinement failed, the plan is unchanged: ${e.message}${details}`);
+      throw e;
+    } finally {
+      pending.refining = false;
+      pending.expiresAt = Date.now() + PLAN_TTL_MS;
+      await interaction.editReply({ content: "", ...buildPlanMessage(interaction.guild, token, pending) }).catch(() => {});
+    }
+  });
+}
+
+async function handleBuildButton(interaction) {
+  const [, choice, token] = interaction.customId.split(":");
+  const pending = PENDING_BUILDS.get(token);
+
+  if (!pending || pending.expiresAt < Date.now() || pending.guildId !== interaction.guild?.id) {
+    PENDING_BUILDS.delete(token);
+    return interaction.update({ content: tr(guildLanguage(interaction.guild), "planExpired"), embeds: [], components: [] });
+  }
+  const lang = pending.blueprint.language || "EN";
+  if (pending.userId !== interaction.user.id) return safeReply(interaction, tr(lang, "planOwnerOnly"));
+  if (pending.refining) return safeReply(interaction, tr(lang, "refineRunning"));
+
+  if (choice === "refine") return interaction.showModal(refineModal(token));
+  if (choice === "refined") return refineBuildPlan(interaction, token, pending);
+
+  PENDING_BUILDS.delete(token);
+
+  if (choice === "cancel") {
+    return interaction.update({ content: tr(lang, "planCancelled"), embeds: [], components: [] });
+  }
+
+  await interaction.update({ content: tr(lang, "buildQueueing", { name: pending.blueprint.name }), components: [] });
+  enqueueBuild(interaction, pending.blueprint, pending.blueprint.name);
+}
+
+// ==============================
+// Role Menus (self-assign)
+// ==============================
+// A menu never hands out a role with any of these, whatever the blueprint says
+const UNSAFE_MENU_PERMISSIONS = [
+  PermissionsBitField.Flags.Administrator,
+  PermissionsBitField.Flags.ManageGuild,
+  PermissionsBitField.Flags.ManageRoles,
+  PermissionsBitField.Flags.ManageChannels,
+  PermissionsBitField.Flags.ManageMessages,
+  PermissionsBitField.Flags.ManageWebhooks,
+  PermissionsBitField.Flags.KickMembers,
+  PermissionsBitField.Flags.BanMembers,
+  PermissionsBitField.Flags.ModerateMembers,
+  PermissionsBitField.Flags.MentionEveryone
+];
+
+// `roles` are [{ id, name }] of built roles, in menu order
+function roleMenuPayload(menu, roles, lang = "EN") {
+  const select = menu.style === "select";
+  const embed = new EmbedBuilder()
+    .setTitle(menu.title || tr(lang, "roleMenuTitle", {}, " | "))
+    .setDescription(menu.description || tr(lang, select ? "roleMenuSelectHint" : "roleMenuButtonHint"));
+
+  const rows = [];
+  if (select) {
+    rows.push(new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId("rolemenu:select")
+        .setPlaceholder(tr(lang, "roleMenuPlaceholder", {}, " | ").slice(0, 150))
+        .setMinValues(0)
+        .setMaxValues(roles.length)
+        .addOptions(roles.map(r => ({ label: r.name.slice(0, 100), value: r.id })))
+    ));
+  } else {
+    for (let i = 0; i < roles.length; i += 5) {
+      rows.push(new ActionRowBuilder().addComponents(roles.slice(i, i + 5).map(r =>
+        new ButtonBuilder().setCustomId(`rolemenu:${r.id}`).setLabel(r.name.slice(0, 80)).setStyle(ButtonStyle.Secondary)
+      )));
+    }
+  }
+  return { embeds: [embed], components: rows, allowedMentions: { parse: [] } };
+}
+
+function findRoleMenu(guildId, messageId) {
+  return Object.values(loadGuildState(guildId).roleMenus).find(m => m.messageId === messageId) || null;
+}
+
+function selfAssignable(guild, role) {
+  return !role.managed &&
+    role.position < guild.members.me.roles.highest.position &&
+    !role.permissions.any(UNSAFE_MENU_PERMISSIONS);
+}
+
+// Buttons toggle one role; the select sets the member's roles from this menu to exactly the picked ones
+async function handleRoleMenuInteraction(interaction) {
+  const guild = interaction.guild;
+  const lang = guildLanguage(guild);
+  const menu = findRoleMenu(guild.id, interaction.message.id);
+  const clicked = interaction.isButton() ? interaction.customId.split(":")[1] : null;
+  if (!menu || (clicked && !menu.roleIds.includes(clicked))) return safeReply(interaction, tr(lang, "roleMenuGone"));
+
+  const member = interaction.member;
+  const added = [];
+  const removed = [];
+  const refused = [];
+  try {
+    for (const roleId of menu.roleIds) {
+      const has = member.roles.cache.has(roleId);
+      const want = clicked ? (roleId === clicked ? !has : has) : interaction.values.includes(roleId);
+      if (want === has) continue;
+
+      const role = guild.roles.cache.get(roleId);
+      if (!role || !selfAssignable(guild, role)) {
+        refused.push(role?.name || roleId);
+        continue;
+      }
+      if (want) {
+        await member.roles.add(role, "Role menu");
+        added.push(role.toString());
+      } else {
+        await member.roles.remove(role, "Role menu");
+        removed.push(role.toString());
+      }
+    }
+  } catch (e) {
+    return safeReply(interaction, tr(lang, "roleMenuFailed", { error: e.message }));
+  }
+
+  const lines = [];
+  if (added.length) lines.push(tr(lang, "roleMenuAdded", { roles: added.join(", ") }));
+  if (removed.length) lines.push(tr(lang, "roleMenuRemoved", { roles: removed.join(", ") }));
+  if (refused.length) lines.push(tr(lang, "roleMenuRefused", { roles: refused.join(", ") }));
+  return safeReply(interaction, lines.join("\n") || tr(lang, "roleMenuNoChange"));
+}
+
+// ==============================
+// Verification Gate
+// ==============================
+// Unverified members only see the verification channel's category; the button grants the role that unlocks the rest.
+// gs.verification = { channelId, messageId, roleId, memberRoleId, gatedIds } — gatedIds are the categories/channels it hides.
+
+function verificationPayload(v, lang = "EN") {
+  const embed = new EmbedBuilder()
+    .setTitle(v.title || tr(lang, "verifyTitle", {}, " | "))
+    .setDescription(v.description || tr(lang, "verifyDescription"));
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("verify:accept")
+      .setLabel((v.buttonLabel || tr(lang, "verifyButton", {}, " / ")).slice(0, 80))
+      .setEmoji("✅")
+      .setStyle(ButtonStyle.Success)
+  );
+  return { embeds: [embed], components: [row], allowedMentions: { parse: [] } };
+}
+
+async function handleVerifyInteraction(interaction) {
+  const guild = interaction.guild;
+  const lang = guildLanguage(guild);
+  const v = loadGuildState(guild.id).verification;
+  if (!v || v.messageId !== interaction.message.id) return safeReply(interaction, tr(lang, "verifyGone"));
+
+  const roles = [v.roleId, v.memberRoleId].filter(Boolean).map(id => guild.roles.cache.get(id));
+  if (roles.some(r => !r || !selfAssignable(guild, r))) return safeReply(interaction, tr(lang, "verifyBroken"));
+
+  const missing = roles.filter(r => !interaction.member.roles.cache.has(r.id));
+  if (!missing.length) return safeReply(interaction, tr(lang, "verifyAlready"));
+  try {
+    await interaction.member.roles.add(missing, "Verification: accepted the rules");
+  } catch (e) {
+    return safeReply(interaction, tr(lang, "verifyFailed", { error: e.message }));
+  }
+  return safeReply(interaction, tr(lang, "verifyDone"));
+}
+
+// The channel the button goes in when /verification enable isn't given one
+function findRulesChannel(guild, gs) {
+  const tracked = gs.channels.rules && guild.channels.cache.get(gs.channels.rules);
+  if (tracked?.isTextBased()) return tracked;
+  return guild.channels.cache.find(c => c.isTextBased() && ["rules", "חוקים"].includes(normalizeChannelName(c.name))) || null;
+}
+
+// Hides every category (and uncategorized channel) but the one holding `channel` from @everyone and shows it to `role`.
+// Channels out of sync with their category keep their own overwrites, so they're gated too.
+// Anything @everyone already can't see (staff areas) is left alone. Recorded in `changeset` so /undo restores it.
+async function enableVerification(guild, { channel, role, memberRole = null, changeset, signal = null }) {
+  const gs = loadGuildState(guild.id);
+  const everyoneId = guild.roles.everyone.id;
+  const view = PermissionsBitField.Flags.ViewChannel;
+
+  // Collected before any edit: gating a category changes which of its channels still look synced
+  const isThread = (c) => [ChannelType.PublicThread, ChannelType.PrivateThread, ChannelType.AnnouncementThread].includes(c.type);
+  const targets = guild.channels.cache.filter(c =>
+    c.id !== channel.id && c.id !== channel.parentId && !isThread(c) &&
+    (c.type === ChannelType.GuildCategory || !c.parentId || (c.parentId !== channel.parentId && c.permissionsLocked === false))
+  );
+
+  const gatedIds = [];
+  for (const c of targets.values()) {
+    signal?.throwIfAborted();
+    const everyone = c.permissionOverwrites.cache.get(everyoneId);
+    const unlocked = c.permissionOverwrites.cache.get(role.id)?.allow.has(view);
+    if (everyone?.deny.has(view)) {
+      if (unlocked) gatedIds.push(c.id);
+      continue;
+    }
+
+    const before = { permissionOverwrites: serializeOverwrites(c) };
+    await c.permissionOverwrites.edit(everyoneId, { ViewChannel: false }, { reason: "Verification gate" });
+    await c.permissionOverwrites.edit(role.id, { ViewChannel: true }, { reason: "Verification gate" });
+    changeset.updated("channel", c, before);
+    gatedIds.push(c.id);
+  }
+
+  const lang = guildLanguage(guild);
+  const message = await postOrUpdateMessage(channel, gs.verification, verificationPayload({}, lang), "verify", changeset);
+  gs.verification = { channelId: channel.id, messageId: message.id, roleId: role.id, memberRoleId: memberRole?.id || null, gatedIds };
+  saveGuildState(guild.id, gs, ["verification"]);
+  return gs.verification;
+}
+
+// Grandfathers members who joined before the gate so they don't lose the server
+async function verifyExistingMembers(guild, roleIds, { signal = null, onProgress = null } = {}) {
+  const members = await guild.members.fetch();
+  const todo = [...members.values()].filter(m => !m.user.bot && roleIds.some(id => !m.roles.cache.has(id)));
+  let done = 0;
+  for (const m of todo) {
+    signal?.throwIfAborted();
+    await m.roles.add(roleIds.filter(id => !m.roles.cache.has(id)), "Verification enabled: existing member");
+    done++;
+    await onProgress?.(done, todo.length);
+  }
+  return done;
+}
+
+async function disableVerification(guild, { changeset }) {
+  const gs = loadGuildState(guild.id);
+  const v = gs.verification;
+  if (!v) return false;
+
+  for (const id of v.gatedIds) {
+    const c = guild.channels.cache.get(id);
+    if (!c) continue;
+    const before = { permissionOverwrites: serializeOverwrites(c) };
+    await c.permissionOverwrites.edit(guild.roles.everyone.id, { ViewChannel: null }, { reason: "Verification disabled" });
+    if (guild.roles.cache.has(v.roleId)) await c.permissionOverwrites.edit(v.roleId, { ViewChannel: null }, { reason: "Verification disabled" });
+    changeset.updated("channel", c, before);
+  }
+
+  const channel = await guild.channels.fetch(v.channelId).catch(() => null);
+  const message = channel && await channel.messages.fetch(v.messageId).catch(() => null);
+  await message?.delete().catch(() => {});
+
+  gs.verification = null;
+  saveGuildState(guild.id, gs, ["verification"]);
+  return true;
+}
+
+function verificationSummary(v, lang = "EN") {
+  if (!v) return tr(lang, "verifyOff");
+  const hidden = v.gatedIds.map(id => `<#${id}>`).join(", ");
+  return [
+    tr(lang, "verifyOn", {}, " / "),
+    tr(lang, "verifyButtonIn", { channel: `<#${v.channelId}>` }, " / "),
+    tr(lang, "verifyGrants", { roles: `<@&${v.roleId}>${v.memberRoleId ? ` + <@&${v.memberRoleId}>` : ""}` }, " / "),
+    hidden ? tr(lang, "verifyHidden", { channels: hidden }, " / ") : tr(lang, "verifyHiddenNone", {}, " / ")
+  ].join("\n");
+}
+
+// ==============================
+// Tickets
+// ==============================
+// gs.tickets = { channelId, messageId, mode, staffRoleIds, logChannelId } is the panel.
+// Tickets are stored per guild as { nextId, tickets: { id: ticket } } so open ones survive restarts.
+const CLOSED_TICKETS_KEPT = 200;
+const TRANSCRIPT_LIMIT = 1000;
+
+function guildTickets(guildId) {
+  return store.get("tickets", guildId) || { nextId: 1, tickets: {} };
+}
+function saveTicket(ticket) {
+  store.update("tickets", ticket.guildId, (g) => {
+    g.tickets[ticket.id] = ticket;
+    g.nextId = Math.max(g.nextId, ticket.id + 1);
+
+    // Open tickets are always kept; closed ones only up to a limit
+    const closed = Object.values(g.tickets).filter(t => t.status === "closed").sort((a, b) => a.id - b.id);
+    for (const old of closed.slice(0, Math.max(0, closed.length - CLOSED_TICKETS_KEPT))) delete g.tickets[old.id];
+    return g;
+  }, { nextId: 1, tickets: {} });
+}
+function deleteTicket(ticket) {
+  store.update("tickets", ticket.guildId, (g) => {
+    delete g.tickets[ticket.id];
+    return g;
+  }, { nextId: 1, tickets: {} });
+}
+
+function ticketPanelPayload(t, lang = "EN") {
+  const embed = new EmbedBuilder()
+    .setTitle(t.title || tr(lang, "ticketPanelTitle", {}, " | "))
+    .setDescription(t.description || tr(lang, "ticketPanelDescription"));
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId("ticket:open")
+      .setLabel((t.buttonLabel || tr(lang, "ticketOpenButton", {}, " / ")).slice(0, 80))
+      .setEmoji("🎫")
+      .setStyle(ButtonStyle.Primary)
+  );
+  return { embeds: [embed], components: [row], allowedMentions: { parse: [] } };
+}
+
+function ticketControls(ticket, lang) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`ticket:claim:${ticket.id}`)
+      .setLabel(tr(lang, "ticketClaimButton", {}, " / "))
+      .setEmoji("🙋")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(!!ticket.claimedBy),
+    new ButtonBuilder()
+      .setCustomId(`ticket:close:${ticket.id}`)
+      .setLabel(tr(lang, "ticketCloseButton", {}, " / "))
+      .setEmoji("🔒")
+      .setStyle(ButtonStyle.Danger)
+  );
+}
+
+function isTicketStaff(member, panel) {
+  return member.permissions.has(PermissionsBitField.Flags.Administrator) ||
+    (panel?.staffRoleIds || []).some(id => member.roles.cache.has(id));
+}
+
+async function openTicket(interaction) {
+  const guild = interaction.guild;
+  const lang = guildLanguage(guild);
+  const panel = loadGuildState(guild.id).tickets;
+  const panelChannel = panel?.messageId === interaction.message.id ? guild.channels.cache.get(panel.channelId) : null;
+  if (!panelChannel) return safeReply(interaction, tr(lang, "ticketGone"));
+
+  const user = interaction.user;
+  for (const open of Object.values(guildTickets(guild.id).tickets).filter(t => t.openerId === user.id && t.status !== "closed")) {
+    const channel = await ticketChannel(guild, open);
+    if (channel) return safeReply(interaction, tr(lang, "ticketAlreadyOpen", { channel: channel.toString() }));
+    // Deleted by hand: close it so it's logged and doesn't block a new one
+    if (channel === null) await closeTicket(guild, open, null, "Ticket channel was deleted");
+  }
+
+  // Claim the id before any await so two clicks can't get the same one
+  const ticket = {
+    id: guildTickets(guild.id).nextId,
+    guildId: guild.id,
+    channelId: null,
+    openerId: user.id,
+    status: "open",
+    claimedBy: null,
+    claimedAt: null,
+    closedBy: null,
+    createdAt: new Date().toISOString(),
+    closedAt: null
+  };
+  saveTicket(ticket);
+
+  const name = `ticket-${String(ticket.id).padStart(4, "0")}`;
+  const access = [
+    PermissionsBitField.Flags.ViewChannel,
+    PermissionsBitField.Flags.SendMessages,
+    PermissionsBitField.Flags.ReadMessageHistory,
+    PermissionsBitField.Flags.AttachFiles
+  ];
+  try {
+    let channel;
+    if (panel.mode === "thread") {
+      channel = await panelChannel.threads.create({ name, type: ChannelType.PrivateThread, invitable: false, reason: `Ticket for ${user.tag}` });
+      await channel.members.add(user.id);
+    } else {
+      channel = await guild.channels.create({
+        name,
+        type: ChannelType.GuildText,
+        parent: panelChannel.parentId,
+        reason: `Ticket for ${user.tag}`,
+        permissionOverwrites: [
+          { id: guild.roles.everyone.id, deny: [PermissionsBitField.Flags.ViewChannel] },
+          { id: guild.members.me.id, allow: [...access, PermissionsBitField.Flags.ManageChannels] },
+          { id: user.id, allow: access },
+          ...panel.staffRoleIds.filter(id => guild.roles.cache.has(id)).map(id => ({ id, allow: access }))
+        ]
+      });
+    }
+    ticket.channelId = channel.id;
+    saveTicket(ticket);
+
+    // Mentioning the staff roles also adds them to a private thread
+    await channel.send({
+      content: [user.toString(), ...panel.staffRoleIds.map(id => `<@&${id}>`)].join(" "),
+      embeds: [new EmbedBuilder().setTitle(`🎫 ${name}`).setDescription(tr(lang, "ticketWelcome", { user: user.toString() }))],
+      components: [ticketControls(ticket, lang)],
+      allowedMentions: { users: [user.id], roles: panel.staffRoleIds }
+    });
+    return safeReply(interaction, tr(lang, "ticketOpened", { channel: channel.toString() }));
+  } catch (e) {
+    if (!ticket.channelId) deleteTicket(ticket);
+    return safeReply(interaction, tr(lang, "ticketFailed", { error: e.message }));
+  }
+}
+
+// The ticket's channel or thread; null when Discord says it's gone, undefined when that's unknown (e.g. an outage)
+async function ticketChannel(guild, ticket) {
+  if (!ticket.channelId) return null;
+  try {
+    return await guild.channels.fetch(ticket.channelId);
+  } catch (e) {
+    return e.code === RESTJSONErrorCodes.UnknownChannel ? null : undefined;
+  }
+}
+
+// Who and when; this is the whole transcript without TICKET_TRANSCRIPTS
+function ticketMetadata(ticket) {
+  const who = (id) => (id ? `user ${id}` : "nobody");
+  return [
+    `Ticket #${ticket.id}`,
+    `Opened by ${who(ticket.openerId)} at ${ticket.createdAt}`,
+    `Claimed by ${who(ticket.claimedBy)}${ticket.claimedAt ? ` at ${ticket.claimedAt}` : ""}`,
+    `Closed by ${who(ticket.closedBy)} at ${ticket.closedAt}`
+  ];
+}
+
+// Oldest first, one line per message
+async function ticketTranscript(channel) {
+  const messages = [];
+  let before;
+  while (messages.length < TRANSCRIPT_LIMIT) {
+    const page = await channel.messages.fetch({ limit: 100, before });
+    messages.push(...page.values());
+    if (page.size < 100) break;
+    before = page.last().id;
+  }
+  return messages.reverse().map(m => {
+    const extras = [
+      ...m.embeds.map(e => `[embed: ${e.title || e.description?.slice(0, 60) || "…"}]`),
+      ...[...m.attachments.values()].map(a => a.url)
+    ];
+    return `[${new Date(m.createdTimestamp).toISOString()}] ${m.author.tag}: ${[m.content, ...extras].filter(Boolean).join(" ")}`;
+  });
+}
+
+// Writes the transcript to the log channel, then deletes the channel (archives and locks a thread).
+// `closedBy` is null when the bot closes a ticket whose channel is gone; `reason` says why.
+async function closeTicket(guild, ticket, closedBy, reason = null) {
+  const panel = loadGuildState(guild.id).tickets;
+  const channel = await ticketChannel(guild, ticket);
+  const lines = channel && TICKET_TRANSCRIPTS ? await ticketTranscript(channel).catch(e => [`(transcript unavailable: ${e.message})`]) : null;
+
+  ticket.status = "closed";
+  ticket.closedBy = closedBy?.id || null;
+  ticket.closedAt = new Date().toISOString();
+  saveTicket(ticket);
+
+  const log = panel?.logChannelId ? await guild.channels.fetch(panel.logChannelId).catch(() => null) : null;
+  if (log?.isTextBased()) {
+    const embed = new EmbedBuilder()
+      .setTitle(`🎫 Ticket #${ticket.id} closed`)
+      .addFields(
+        { name: "Opened by", value: `<@${ticket.openerId}>`, inline: true },
+        { name: "Claimed by", value: ticket.claimedBy ? `<@${ticket.claimedBy}>` : "—", inline: true },
+        { name: "Closed by", value: closedBy ? closedBy.toString() : `🤖 ${reason || "the bot"}`, inline: true },
+        { name: "Opened", value: `<t:${Math.floor(Date.parse(ticket.createdAt) / 1000)}:f>`, inline: true },
+        { name: "Messages", value: lines ? String(lines.length) : "Not recorded", inline: true }
+      );
+    const messages = lines ? (lines.length ? lines : ["(no messages)"]) : ["(messages aren't recorded: set TICKET_TRANSCRIPTS=true)"];
+    const file = new AttachmentBuilder(Buffer.from([...ticketMetadata(ticket), "", ...messages].join("\n")), { name: `ticket-${ticket.id}.txt` });
+    await log.send({ embeds: [embed], files: [file], allowedMentions: { parse: [] } })
+      .catch(e => console.warn(`⚠️ Couldn't log ticket #${ticket.id}: ${e.message}`));
+  }
+
+  if (!channel) return;
+  // The ticket is closed and logged by now; a missing permission here goes back to whoever closed it
+  const thread = channel.isThread?.();
+  try {
+    if (thread) {
+      await channel.setLocked(true, "Ticket closed");
+      await channel.setArchived(true, "Ticket closed");
+    } else {
+      await channel.delete("Ticket closed");
+    }
+  } catch (e) {
+    throw new Error(`Ticket #${ticket.id} is closed, but its ${thread ? "thread couldn't be archived" : "channel couldn't be deleted"}: ${e.message}`);
+  }
+}
+
+// ticket:open is on the panel; ticket:claim:<id> and ticket:close:<id> are on each ticket's first message
+async function handleTicketInteraction(interaction) {
+  const [, action, id] = interaction.customId.split(":");
+  // One at a time per guild, so a double click can't open two tickets
+  if (action === "open") return store.withLock(`tickets:${interaction.guild.id}`, () => openTicket(interaction));
+
+  const guild = interaction.guild;
+  const lang = guildLanguage(guild);
+  const ticket = guildTickets(guild.id).tickets[id];
+  if (!ticket || ticket.status === "closed") return safeReply(interaction, tr(lang, "ticketClosed"));
+  const staff = isTicketStaff(interaction.member, loadGuildState(guild.id).tickets);
+
+  if (action === "claim") {
+    if (!staff) return safeReply(interaction, tr(lang, "ticketStaffOnly"));
+    if (ticket.claimedBy) return safeReply(interaction, tr(lang, "ticketClaimedAlready", { user: `<@${ticket.claimedBy}>` }));
+    ticket.claimedBy = interaction.user.id;
+    ticket.claimedAt = new Date().toISOString();
+    saveTicket(ticket);
+    await interaction.update({ components: [ticketControls(ticket, lang)] }).catch(() => {});
+    return interaction.channel?.send({ content: tr(lang, "ticketClaimed", { user: interaction.user.toString() }), allowedMentions: { parse: [] } });
+  }
+
+  if (action === "close") {
+    if (!staff && interaction.user.id !== ticket.openerId) return safeReply(interaction, tr(lang, "ticketCloseDenied"));
+    await interaction.reply({ content: tr(lang, "ticketClosing", { user: interaction.user.toString() }), allowedMentions: { parse: [] } }).catch(() => {});
+    return closeTicket(guild, ticket, interaction.user);
+  }
+}
+
+// ==============================
+// Server Logs (#bot-logs / #mod-logs)
+// ==============================
+// Bot actions go to #bot-logs and server events to #mod-logs (each falls back to the other).
+// The channels are found by their blueprint keys in guild state; gs.logs turns categories on/off.
+const LOG_CATEGORIES = {
+  build: { label: "Builds", channel: "bot", color: 0x3498db, default: true },
+  edits: { label: "AI edits and undo", channel: "bot", color: 0x9b59b6, default: true },
+  failures: { label: "Failures", channel: "bot", color: 0xe74c3c, default: true },
+  channels: { label: "Channel changes", channel: "mod", color: 0x95a5a6, default: false },
+  roles: { label: "Role changes", channel: "mod", color: 0xf1c40f, default: false },
+  members: { label: "Member joins and leaves", channel: "mod", color: 0x2ecc71, default: false }
+};
+const LOG_CHANNEL_KEYS = { bot: ["bot-logs", "bot_logs"], mod: ["mod-logs", "mod_logs"] };
+const BUILD_LOG_BATCH = 30;
+
+function logSettings(gs) {
+  return Object.fromEntries(Object.entries(LOG_CATEGORIES).map(([key, c]) => [key, gs.logs?.[key] ?? c.default]));
+}
+
+function findLogChannel(guild, gs, kind) {
+  const keys = kind === "bot" ? [...LOG_CHANNEL_KEYS.bot, ...LOG_CHANNEL_KEYS.mod] : [...LOG_CHANNEL_KEYS.mod, ...LOG_CHANNEL_KEYS.bot];
+  for (const key of keys) {
+    const channel = gs.channels[key] && guild.channels.cache.get(gs.channels[key]);
+    if (channel?.isTextBased()) return channel;
+  }
+  return null;
+}
+
+// Never throws: a missing log channel or permission must not break what's being logged.
+// Returns false only when there's no log channel (yet).
+async function logEvent(guild, category, { title, description = "", fields = [], user = null }) {
+  try {
+    const gs = loadGuildState(guild.id);
+    if (!logSettings(gs)[category]) return true;
+    const channel = findLogChannel(guild, gs, LOG_CATEGORIES[category].channel);
+    if (!channel) return false;
+
+    const embed = new EmbedBuilder()
+      .setColor(LOG_CATEGORIES[category].color)
+      .setTitle(title.slice(0, 256))
+      .setDescription(description.slice(0, 4096) || null)
+      .setFooter({ text: LOG_CATEGORIES[category].label })
+      .setTimestamp();
+    if (user) embed.setAuthor({ name: `${user.tag} (${user.id})`, iconURL: user.displayAvatarURL?.() });
+    if (fields.length) embed.addFields(fields.slice(0, 25).map(f => ({ ...f, value: String(f.value ?? "").slice(0, 1024) || "—" })));
+    await channel.send({ embeds: [embed], allowedMentions: { parse: [] } });
+  } catch (e) {
+    console.warn(`⚠️ Couldn't write the ${category} log: ${e.message}`);
+  }
+  return true;
+}
+
+const LOG_OPS = { create: "➕", update: "✏️", delete: "🗑️" };
+const BUILD_STEPS = { role: "roles", category: "categories", channel: "channels", message: "messages" };
+
+// Fed by the build's changeset: posts one embed per build step (up to BUILD_LOG_BATCH changes each).
+// Steps are held back until the build has created the log channel.
+function startBuildLog(guild, label, user) {
+  let step = null;
+  let lines = [];
+  const held = [];
+  let queue = Promise.resolve();
+
+  const send = async () => {
+    while (held.length && await logEvent(guild, "build", held[0])) held.shift();
+  };
+  const flush = () => {
+    if (lines.length) held.push({ title: `🏗️ ${label} · ${step}`, description: lines.join("\n"), user });
+    lines = [];
+    queue = queue.then(send);
+    return queue;
+  };
+
+  return {
+    entry(e) {
+      const next = BUILD_STEPS[e.type] || e.type;
+      if (next !== step || lines.length >= BUILD_LOG_BATCH) flush();
+      step = next;
+      lines.push(`${LOG_OPS[e.op] || "•"} ${e.type === "message" ? `message in <#${e.channelId}>` : `${e.type} **${e.name}**`}`);
+    },
+    async finish(status, changesetId, warnings = []) {
+      if (lines.length) flush();
+      held.push({
+        title: `🏗️ ${label}: ${status}`,
+        description: warnings.join("\n"),
+        user,
+        fields: [{ name: "Changeset", value: `#${changesetId}`, inline: true }]
+      });
+      await flush();
+    }
+  };
+}
+
+// [label, getter, quiet] — quiet fields only say that they changed
+const CHANNEL_LOG_FIELDS = [
+  ["Name", c => c.name],
+  ["Topic", c => c.topic],
+  ["Category", c => c.parent?.name],
+  ["Slowmode", c => c.rateLimitPerUser],
+  ["Permissions", c => JSON.stringify(serializeOverwrites(c)), true]
+];
+const ROLE_LOG_FIELDS = [
+  ["Name", r => r.name],
+  ["Color", r => r.hexColor],
+  ["Hoisted", r => r.hoist],
+  ["Mentionable", r => r.mentionable],
+  ["Permissions", r => r.permissions.bitfield.toString(), true]
+];
+
+function describeChanges(before, after, fields) {
+  return fields
+    .filter(([, get]) => String(get(before) ?? "") !== String(get(after) ?? ""))
+    .map(([label, get, quiet]) => quiet ? `**${label}** changed` : `**${label}:** ${get(before) ?? "—"} → ${get(after) ?? "—"}`);
+}
+
+function logsSummary(guild, gs) {
+  const settings = logSettings(gs);
+  const where = (kind) => findLogChannel(guild, gs, kind)?.toString() || "nowhere (no #bot-logs or #mod-logs was built)";
+  return [
+    "📋 **Logging**",
+    `Bot actions → ${where("bot")}`,
+    `Server events → ${where("mod")}`,
+    ...Object.entries(LOG_CATEGORIES).map(([key, c]) => `${settings[key] ? "✅" : "▫️"} ${c.label} (\`${key}\`)`)
+  ].join("\n");
+}
+
+// ==============================
+// Template Registry (bot/templates/*.json)
+// ==============================
+function loadTemplates() {
+  const registry = new Map();
+  if (!fs.existsSync(TEMPLATES_DIR)) return registry;
+
+  for (const file of fs.readdirSync(TEMPLATES_DIR).filter(f => f.endsWith(".json")).sort()) {
+    let tpl;
+    try {
+      tpl = JSON.parse(fs.readFileSync(path.join(TEMPLATES_DIR, file), "utf8"));
+    } catch (e) {
+      console.warn(`⚠️ Skipping template ${file}: ${e.message}`);
+      continue;
+    }
+
+    const errors = validateBlueprintSchema(tpl);
+    if (errors.length) {
+      console.warn(`⚠️ Skipping template ${file}:\n- ${describeErrors(errors).join("\n- ")}`);
+      continue;
+    }
+
+    const id = String(tpl.id || path.basename(file, ".json"));
+    registry.set(id, { ...tpl, id, messages: tpl.messages || [] });
+  }
+
+  return registry;
+}
+
+const TEMPLATES = loadTemplates();
+
+function templatePreviewEmbed(tpl) {
+  const channelCount = tpl.categories.reduce((sum, c) => sum + c.channels.length, 0);
+  const embed = new EmbedBuilder()
+    .setTitle(`📦 ${tpl.name}`)
+    .setDescription(
+      `ID: \`${tpl.id}\` · Language: ${tpl.language || "EN"}\n` +
+      `${tpl.roles.length} roles · ${tpl.categories.length} categories · ${channelCount} channels · ${tpl.messages.length} messages`
+    )
+    .addFields({ name: "Roles", value: tpl.roles.map(r => r.name).join(", ").slice(0, 1024) || "—" });
+
+  for (const cat of tpl.categories.slice(0, 24)) {
+    const chans = cat.channels.map(ch => channelLabel(ch.type, ch.name)).join("\n");
+    embed.addFields({ name: cat.name.slice(0, 256), value: chans.slice(0, 1024) || "—", inline: true });
+  }
+
+  return embed;
+}
+
+// ==============================
+// Changesets (history + undo)
+// ==============================
+const HISTORY_LIMIT = 50;
+
+function saveChangeset(guildId, cs) {
+  store.update("changesets", guildId, (all) => {
+    const list = all.filter(x => x.id !== cs.id);
+    if (cs.entries.length || !cs.finishedAt) list.push(cs);
+    return list.sort((a, b) => a.id - b.id).slice(-HISTORY_LIMIT);
+  }, []);
+}
+
+// Records what a build or edit batch created and the old values of what it changed.
+// Saved after every entry so a crashed build can still be undone.
+// `onEntry` sees every recorded change as it happens (the build log uses it)
+function startChangeset(guildId, kind, label, userId = null, onEntry = null) {
+  const list = listChangesets(guildId);
+  const cs = {
+    id: (list.at(-1)?.id || 0) + 1,
+    kind,
+    label: String(label || "").slice(0, 200),
+    userId,
+    createdAt: new Date().toISOString(),
+    finishedAt: null,
+    undoneAt: null,
+    entries: []
+  };
+  saveChangeset(guildId, cs);
+
+  const record = (entry) => {
+    cs.entries.push(entry);
+    saveChangeset(guildId, cs);
+    onEntry?.(entry);
+  };
+
+  return {
+    id: cs.id,
+    created(type, obj, extra = {}) {
+      record({ op: "create", type, id: obj.id, name: obj.name || "", ...extra });
+    },
+    updated(type, obj, before, extra = {}) {
+      record({ op: "update", type, id: obj.id, name: obj.name || "", before, ...extra });
+    },
+    // `before` holds everything needed to recreate the object
+    deleted(type, obj, before, extra = {}) {
+      record({ op: "delete", type, id: obj.id, name: obj.name || "", before, ...extra });
+    },
+    // Empty changesets are dropped from history
+    finish() {
+      cs.finishedAt = new Date().toISOString();
+      saveChangeset(guildId, cs);
+      return cs.entries.length;
+    }
+  };
+}
+
+// Changesets left open by a crash or restart are closed so they can be undone
+function closeDanglingChangesets() {
+  for (const guildId of store.keys("changesets")) {
+    store.update("changesets", guildId, (list) => list.map(cs => cs.finishedAt ? cs : { ...cs, finishedAt: new Date().toISOString() }), []);
+  }
+}
+
+function listChangesets(guildId) {
+  return store.get("changesets", guildId) || [];
+}
+
+function restoreFields(before) {
+  const fields = { ...before };
+  if (fields.permissions !== undefined) fields.permissions = BigInt(fields.permissions);
+  if (fields.permissionOverwrites) {
+    fields.permissionOverwrites = fields.permissionOverwrites.map(o => ({
+      id: o.id,
+      type: o.type,
+      allow: BigInt(o.allow),
+      deny: BigInt(o.deny)
+    }));
+  }
+  return fields;
+}
+
+async function fetchChangeTarget(guild, e) {
+  if (e.type === "guild") return guild;
+  if (e.type === "role") return guild.roles.fetch(e.id).catch(() => null);
+  if (e.type === "message") {
+    const channel = await guild.channels.fetch(e.channelId).catch(() => null);
+    return channel?.isTextBased() ? channel.messages.fetch(e.id).catch(() => null) : null;
+  }
+  return guild.channels.fetch(e.id).catch(() => null);
+}
+
+const STATE_MAPS = { role: "roles", category: "categories", channel: "channels", message: "messages" };
+
+async function undoChangeset(guild, cs) {
+  const out = [];
+  const gs = loadGuildState(guild.id);
+  const forget = (e) => {
+    // Role menu messages are tracked under "menu:<key>", the verification button and ticket panel under "verify"/"tickets"
+    if (e.key === "verify" || e.key === "tickets") {
+      const field = e.key === "verify" ? "verification" : "tickets";
+      if (gs[field]?.messageId === e.id) gs[field] = null;
+      return;
+    }
+    const [map, key] = e.key?.startsWith("menu:") ? [gs.roleMenus, e.key.slice(5)] : [gs[STATE_MAPS[e.type]], e.key];
+    if (!key || !map) return;
+    const tracked = map[key];
+    if (tracked === e.id || tracked?.messageId === e.id) delete map[key];
+  };
+
+  // Newest first, so channels go before the categories they were created in
+  for (const e of [...cs.entries].reverse()) {
+    const label = e.type === "message" ? "message" : `${e.type} **${e.name}**`;
+    try {
+      // Deleted objects come back with new ids
+      if (e.op === "delete") {
+        const fields = restoreFields(e.before);
+        if (e.type === "role") await guild.roles.create(fields);
+        else await guild.channels.create(fields);
+        out.push(`♻️ Recreated ${label}`);
+        continue;
+      }
+
+      const target = await fetchChangeTarget(guild, e);
+      if (!target) {
+        out.push(`⚠️ ${label} no longer exists`);
+        if (e.op === "create") forget(e);
+        continue;
+      }
+
+      if (e.op === "create") {
+        await target.delete();
+        forget(e);
+        out.push(`🗑️ Deleted ${label}`);
+      } else {
+        await target.edit(restoreFields(e.before));
+        out.push(`↩️ Restored ${label}`);
+      }
+    } catch (err) {
+      out.push(`❌ Couldn't undo ${label}: ${err.message}`);
+    }
+  }
+
+  saveGuildState(guild.id, gs, TRACKED_FIELDS);
+
+  cs.undoneAt = new Date().toISOString();
+  saveChangeset(guild.id, cs);
+  return out;
+}
+
+// ==============================
+// Export / Import
+// ==============================
+const IMPORT_MAX_BYTES = 512 * 1024;
+
+function keyFromName(name, used, fallback) {
+  const base = normalizeChannelName(name).replace(/-/g, "_") || fallback;
+  let key = base;
+  for (let n = 2; used.has(key); n++) key = `${base}_${n}`;
+  used.add(key);
+  return key;
+}
+
+// Closest permission pack for an existing role (exact match first, then by strongest flag)
+function inferPermPack(role) {
+  const bits = role.permissions.bitfield;
+  for (const [pack, flags] of Object.entries(PERM_PACKS)) {
+    if (pack !== "ping" && flags.length && new PermissionsBitField(flags).bitfield === bits) return pack;
+  }
+
+  const has = (flag) => role.permissions.has(flag, false);
+  if (has(PermissionsBitField.Flags.Administrator)) return "owner";
+  if (has(PermissionsBitField.Flags.ManageGuild) || has(PermissionsBitField.Flags.ManageRoles)) return "admin";
+  if (has(PermissionsBitField.Flags.KickMembers) || has(PermissionsBitField.Flags.ModerateMembers)) return "mod";
+  if (has(PermissionsBitField.Flags.ManageMessages)) return "helper";
+  if (role.mentionable) return "ping";
+  return "member";
+}
+
+function exportOverwrites(channel, roleKeyById, everyoneId) {
+  const out = [];
+  for (const o of channel.permissionOverwrites.cache.values()) {
+    const entry = {
+      target: o.id === everyoneId ? "@everyone" : "",
+      targetRoleKey: o.id === everyoneId ? "" : roleKeyById[o.id] || "",
+      allow: new PermissionsBitField(o.allow).toArray(),
+      deny: new PermissionsBitField(o.deny).toArray()
+    };
+    // Member overwrites and unknown roles can't be expressed in a blueprint
+    if (entry.target || entry.targetRoleKey) out.push(entry);
+  }
+  return out;
+}
+
+function exportGuild(guild) {
+  const roleKeys = new Set();
+  const roleKeyById = {};
+  const roles = [...guild.roles.cache.values()]
+    .filter(r => r.id !== guild.id && !r.managed)
+    .sort((a, b) => b.position - a.position)
+    .map((r, i) => {
+      const key = keyFromName(r.name, roleKeys, `role_${i}`);
+      const permPack = inferPermPack(r);
+      const packNames = new PermissionsBitField(PERM_PACKS[permPack]).serialize(false);
+      roleKeyById[r.id] = key;
+      return {
+        key,
+        name: r.name,
+        color: r.hexColor,
+        permPack,
+        permissions: permPack === "owner" ? [] : Object.entries(r.permissions.serialize(false))
+          .filter(([name, on]) => on && !packNames[name])
+          .map(([name]) => name),
+        hoist: r.hoist,
+        mentionable: r.mentionable
+      };
+    });
+
+  const exportable = Object.values(CHANNEL_TYPE_IDS);
+  const channelKeys = new Set();
+  const channelKeyById = {};
+  const exportChannels = (parentId) => [...guild.channels.cache.values()]
+    .filter(c => c.parentId === parentId && exportable.includes(c.type))
+    .sort((a, b) => a.rawPosition - b.rawPosition)
+    .map((c, j) => {
+      const type = channelTypeName(c.type);
+      const out = {
+        type,
+        key: keyFromName(c.name, channelKeys, `ch_${j}`),
+        name: c.name,
+        topic: c.topic || "",
+        slowmode: c.rateLimitPerUser || 0
+      };
+      if (VOICE_TYPES.includes(type)) {
+        out.bitrate = c.bitrate;
+        out.userLimit = c.userLimit;
+      }
+      if (type === "forum") {
+        out.tags = (c.availableTags || []).map(t => ({ name: t.name, emoji: t.emoji?.name || "", moderated: !!t.moderated }));
+      }
+      // Only channels that don't sync with their category carry their own overwrites
+      if (c.permissionsLocked === false) out.overwrites = exportOverwrites(c, roleKeyById, guild.id);
+      channelKeyById[c.id] = out.key;
+      return out;
+    });
+
+  const catKeys = new Set();
+  const categories = [...guild.channels.cache.values()]
+    .filter(c => c.type === ChannelType.GuildCategory)
+    .sort((a, b) => a.rawPosition - b.rawPosition)
+    .map((c, i) => ({
+      key: keyFromName(c.name, catKeys, `cat_${i}`),
+      name: c.name,
+      overwrites: exportOverwrites(c, roleKeyById, guild.id),
+      channels: exportChannels(c.id)
+    }));
+
+  const loose = exportChannels(null);
+  if (loose.length) {
+    categories.unshift({ key: keyFromName("uncategorized", catKeys, "uncategorized"), name: "Uncategorized", overwrites: [], channels: loose });
+  }
+
+  const blueprint = {
+    name: guild.name.slice(0, 80),
+    language: localeLanguage(guild),
+    theme: "exported",
+    roles,
+    categories,
+    messages: []
+  };
+
+  const afkKey = channelKeyById[guild.afkChannelId];
+  if (afkKey && guild.channels.cache.get(guild.afkChannelId)?.type === ChannelType.GuildVoice) {
+    blueprint.afk = { channelKey: afkKey, timeout: guild.afkTimeout };
+  }
+
+  return blueprint;
+}
+
+async function readImportFile(attachment) {
+  if (attachment.size > IMPORT_MAX_BYTES) throw new Error(`File too large (max ${IMPORT_MAX_BYTES / 1024} KB)`);
+
+  const r = await fetch(attachment.url);
+  if (!r.ok) throw new Error(`Download failed (${r.status})`);
+
+  let blueprint;
+  try { blueprint = JSON.parse(await r.text()); } catch { throw new Error("File is not valid JSON"); }
+
+  const errors = validateBlueprintSchema(blueprint);
+  if (errors.length) throw new Error(`Invalid blueprint:\n- ${describeErrors(errors).slice(0, 15).join("\n- ")}`);
+
+  blueprint.messages = blueprint.messages || [];
+  return blueprint;
+}
+
+// ==============================
+// Edit Engine (Actions JSON)
+// ==============================
+// Compact structure sent with /editprompt so the model can answer with ids or keys
+function editSnapshot(guild) {
+  const gs = loadGuildState(guild.id);
+  const keysById = (map) => Object.fromEntries(Object.entries(map).map(([key, id]) => [id, key]));
+  const roleKeys = keysById(gs.roles);
+  const categoryKeys = keysById(gs.categories);
+  const channelKeys = keysById(gs.channels);
+  const byPosition = (a, b) => a.rawPosition - b.rawPosition;
+
+  return {
+    roles: [...guild.roles.cache.values()]
+      .filter(r => r.id !== guild.id && !r.managed)
+      .sort((a, b) => b.position - a.position)
+      .map(r => ({ id: r.id, key: roleKeys[r.id] || "", name: r.name })),
+    categories: [...guild.channels.cache.values()]
+      .filter(c => c.type === ChannelType.GuildCategory)
+      .sort(byPosition)
+      .map(c => ({ id: c.id, key: categoryKeys[c.id] || "", name: c.name })),
+    channels: [...guild.channels.cache.values()]
+      .filter(c => Object.values(CHANNEL_TYPE_IDS).includes(c.type))
+      .sort(byPosition)
+      .map(c => ({ id: c.id, key: channelKeys[c.id] || "", name: c.name, type: channelTypeName(c.type), categoryId: c.parentId || "" }))
+  };
+}
+
+// Lowercase letters and digits only, so "📜-rules" and "Rules" compare equal
+function looseName(name) {
+  return String(name || "").toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "");
+}
+
+// References may be an id, a tracked blueprint key or a name. Names that don't match
+// exactly fall back to fuzzy matching; more than one candidate means ambiguous.
+function findByRef(guild, kind, items, stateMap, ref) {
+  const result = { kind, ref: String(ref ?? "").trim(), match: null, candidates: [] };
+  const r = result.ref;
+  if (!r) return result;
+
+  const trackedId = loadGuildState(guild.id)[stateMap]?.[r];
+  const lower = r.toLowerCase();
+  result.match =
+    items.find(x => x.id === r) ||
+    (trackedId && items.find(x => x.id === trackedId)) ||
+    items.find(x => x.name.toLowerCase() === lower || x.name === normalizeChannelName(r)) ||
+    null;
+  if (result.match) return result;
+
+  const loose = looseName(r);
+  if (!loose) return result;
+  result.candidates = items.filter(x => looseName(x.name) === loose);
+  if (!result.candidates.length && loose.length >= 3) {
+    result.candidates = items.filter(x => {
+      const name = looseName(x.name);
+      return name.length >= 3 && (name.includes(loose) || loose.includes(name));
+    });
+  }
+  if (result.candidates.length === 1) result.match = result.candidates[0];
+  return result;
+}
+
+// @everyone and managed (integration/bot) roles are never edit targets, as in role menus;
+// `refused` is set when the reference names one of them
+function findRole(guild, ref) {
+  const offLimits = (r) => r.id === guild.id || r.managed;
+  const lookup = findByRef(guild, "Role", [...guild.roles.cache.values()].filter(r => !offLimits(r)), "roles", ref);
+  if (!lookup.match) lookup.refused = findByRef(guild, "Role", [...guild.roles.cache.values()].filter(offLimits), "roles", ref).match;
+  return lookup;
+}
+function findTextChannel(guild, ref) {
+  const items = [...guild.channels.cache.values()].filter(c => c.type === ChannelType.GuildText);
+  return findByRef(guild, "Channel", items, "channels", ref);
+}
+function findCategory(guild, ref) {
+  const items = [...guild.channels.cache.values()].filter(c => c.type === ChannelType.GuildCategory);
+  return findByRef(guild, "Category", items, "categories", ref);
+}
+// Any non-category channel
+function findChannel(guild, ref) {
+  const items = [...guild.channels.cache.values()].filter(c => c.type !== ChannelType.GuildCategory);
+  return findByRef(guild, "Channel", items, "channels", ref);
+}
+
+function liveChannelLabel(channel) {
+  if (channel.type === ChannelType.GuildCategory) return channel.name;
+  return `${CHANNEL_ICONS[channelTypeName(channel.type)]}${channel.name}`;
+}
+
+// Roles at or above the bot's highest role can't be touched
+function isAboveBot(guild, role) {
+  const me = guild.members.me;
+  return !!me && role.position >= me.roles.highest.position;
+}
+
+async function executeEdits(guild, edits, changeset = null) {
+  const out = [];
+
+  // Reports unresolved references (with candidates when ambiguous) and returns the match or null
+  const resolve = (lookup) => {
+    if (lookup.match) return lookup.match;
+    if (lookup.refused) {
+      out.push(`❌ Can't use **${lookup.refused.name}**: @everyone and managed roles can't be edited`);
+      return null;
+    }
+    out.push(lookup.candidates.length
+      ? `❓ ${lookup.kind} "${lookup.ref}" is ambiguous: ${lookup.candidates.slice(0, 5).map(c => `**${c.name}**`).join(", ")}`
+      : `❌ ${lookup.kind} not found: ${lookup.ref}`);
+    return null;
+  };
+
+  for (const a of edits.actions || []) {
+    try {
+      if (a.action === "edit_role_color") {
+        const role = resolve(findRole(guild, a.roleName));
+        if (!role) continue;
+        if (isAboveBot(guild, role)) { out.push(`❌ Can't edit role (too high): ${role.name}`); continue; }
+
+        const before = { color: role.hexColor };
+        await role.setColor(a.color);
+        changeset?.updated("role", role, before);
+        out.push(`✅ Role **${role.name}** color -> **${a.color}**`);
+        continue;
+      }
+
+      if (a.action === "rename_role") {
+        const role = resolve(findRole(guild, a.roleName));
+        if (!role) continue;
+        if (isAboveBot(guild, role)) { out.push(`❌ Can't rename role (too high): ${role.name}`); continue; }
+
+        const before = { name: role.name };
+        await role.setName(String(a.newName || "").trim().slice(0, 100));
+        changeset?.updated("role", role, before);
+        out.push(`✅ Role renamed to **${a.newName}**`);
+        continue;
+      }
+
+      if (a.action === "create_role") {
+        const name = String(a.roleName || a.newName || "").trim().slice(0, 100);
+        if (!name) { out.push("❌ create_role needs a role name"); continue; }
+        if (guild.roles.cache.some(r => r.name.toLowerCase() === name.toLowerCase())) { out.push(`⚠️ Role already exists: ${name}`); continue; }
+
+        const permPack = PERM_PACKS[a.permPack] ? a.permPack : "member";
+        const created = await guild.roles.create({
+          name,
+          color: /^#[0-9a-f]{6}$/i.test(a.color || "") ? a.color : undefined,
+          hoist: !!a.hoist,
+          mentionable: false,
+          permissions: rolePermissions({ permPack })
+        });
+        changeset?.created("role", created);
+        out.push(`✅ Created role **${created.name}** (${permPack})`);
+        continue;
+      }
+
+      if (a.action === "delete_role") {
+        const role = resolve(findRole(guild, a.roleName));
+        if (!role) continue;
+        if (role.managed || role.id === guild.id) { out.push(`❌ Can't delete role: ${role.name}`); continue; }
+        if (isAboveBot(guild, role)) { out.push(`❌ Can't delete role (too high): ${role.name}`); continue; }
+
+        const before = roleSnapshot(role);
+        await role.delete();
+        changeset?.deleted("role", role, before);
+        out.push(`🗑️ Deleted role **${role.name}**`);
+        continue;
+      }
+
+      if (a.action === "set_role_permpack") {
+        const role = resolve(findRole(guild, a.roleName));
+        if (!role) continue;
+        if (!PERM_PACKS[a.permPack]) { out.push(`❌ Unknown permPack: ${a.permPack}`); continue; }
+        if (isAboveBot(guild, role)) { out.push(`❌ Can't edit role (too high): ${role.name}`); continue; }
+
+        const before = { permissions: role.permissions.bitfield.toString() };
+        await role.setPermissions(rolePermissions({ permPack: a.permPack }));
+        changeset?.updated("role", role, before);
+        out.push(`✅ Role **${role.name}** permissions -> **${a.permPack}**`);
+        continue;
+      }
+
+      if (a.action === "set_role_hoist") {
+        const role = resolve(findRole(guild, a.roleName));
+        if (!role) continue;
+        if (isAboveBot(guild, role)) { out.push(`❌ Can't edit role (too high): ${role.name}`); continue; }
+
+        const before = { hoist: role.hoist };
+        await role.setHoist(!!a.hoist);
+        changeset?.updated("role", role, before);
+        out.push(`✅ Role **${role.name}** ${a.hoist ? "shown separately" : "no longer shown separately"}`);
+        continue;
+      }
+
+      if (a.action === "reorder_role") {
+        const role = resolve(findRole(guild, a.roleName));
+        const anchor = resolve(findRole(guild, a.aboveRoleName));
+        if (!role || !anchor) continue;
+        if (isAboveBot(guild, role)) { out.push(`❌ Can't move role (too high): ${role.name}`); continue; }
+
+        // Moving up takes the anchor's slot (pushing it down); moving down lands just above it
+        const position = role.position < anchor.position ? anchor.position : anchor.position + 1;
+        const me = guild.members.me;
+        if (me && position >= me.roles.highest.position) {
+          out.push(`❌ Can't move **${role.name}** above my highest role`);
+          continue;
+        }
+
+        const before = { position: role.position };
+        await role.setPosition(position);
+        changeset?.updated("role", role, before);
+        out.push(`↕️ Role **${role.name}** moved above **${anchor.name}**`);
+        continue;
+      }
+
+      if (a.action === "rename_channel") {
+        const channel = resolve(findTextChannel(guild, a.channelName));
+        if (!channel) continue;
+
+        const newName = normalizeChannelName(a.newName);
+        const before = { name: channel.name };
+        await channel.setName(newName);
+        changeset?.updated("channel", channel, before);
+        out.push(`✅ Channel renamed -> **#${newName}**`);
+        continue;
+      }
+
+      if (a.action === "rename_category") {
+        const cat = resolve(findCategory(guild, a.categoryName));
+        if (!cat) continue;
+
+        const before = { name: cat.name };
+        await cat.setName(String(a.newName || "").trim().slice(0, 100));
+        changeset?.updated("category", cat, before);
+        out.push(`✅ Category renamed -> **${a.newName}**`);
+        continue;
+      }
+
+      if (a.action === "create_channel" || a.action === "create_voice_channel") {
+        const cat = resolve(findCategory(guild, a.inCategoryName));
+        if (!cat) continue;
+
+        const voice = a.action === "create_voice_channel";
+        const name = voice ? String(a.createChannelName || "").trim().slice(0, 100) : normalizeChannelName(a.createChannelName);
+        if (!name) { out.push(`❌ ${a.action} needs a channel name`); continue; }
+
+        const created = await guild.channels.create({
+          name,
+          type: voice ? ChannelType.GuildVoice : ChannelType.GuildText,
+          parent: cat.id,
+          ...(voice ? { userLimit: Math.min(99, Math.max(0, Number(a.userLimit || 0))) } : {})
+        });
+        changeset?.created("channel", created);
+
+        out.push(`✅ Created **${liveChannelLabel(created)}** in **${cat.name}**`);
+        continue;
+      }
+
+      if (a.action === "delete_channel") {
+        const channel = resolve(findChannel(guild, a.channelName));
+        if (!channel) continue;
+
+        const before = { ...channelSnapshot(channel), type: channel.type, position: channel.rawPosition };
+        await channel.delete();
+        changeset?.deleted("channel", channel, before);
+        out.push(`🗑️ Deleted **${liveChannelLabel(channel)}**`);
+        continue;
+      }
+
+      if (a.action === "move_channel") {
+        const channel = resolve(findChannel(guild, a.channelName));
+        const cat = resolve(findCategory(guild, a.inCategoryName));
+        if (!channel || !cat) continue;
+
+        // Moved channels pick up the new category's permissions
+        const before = { parent: channel.parentId ?? null, permissionOverwrites: serializeOverwrites(channel) };
+        await channel.setParent(cat.id, { lockPermissions: true });
+        changeset?.updated("channel", channel, before);
+        out.push(`📦 Moved **${liveChannelLabel(channel)}** -> **${cat.name}**`);
+        continue;
+      }
+
+      if (a.action === "reorder_channel") {
+        const channel = resolve(findChannel(guild, a.channelName));
+        const anchor = resolve(findChannel(guild, a.aboveChannelName));
+        if (!channel || !anchor) continue;
+        if (channel.parentId !== anchor.parentId) {
+          out.push(`❌ **${channel.name}** and **${anchor.name}** are in different categories (use move_channel first)`);
+          continue;
+        }
+
+        // Same slot logic as roles, but positions count from the top
+        const position = channel.position > anchor.position ? anchor.position : anchor.position - 1;
+        const before = { position: channel.position };
+        await channel.setPosition(position);
+        changeset?.updated("channel", channel, before);
+        out.push(`↕️ **${liveChannelLabel(channel)}** moved above **${liveChannelLabel(anchor)}**`);
+        continue;
+      }
+
+      if (a.action === "set_topic") {
+        const channel = resolve(findChannel(guild, a.channelName));
+        if (!channel) continue;
+        if (!("topic" in channel)) { out.push(`❌ ${liveChannelLabel(channel)} has no topic`); continue; }
+
+        const topic = String(a.topic || "").slice(0, 1024);
+        const before = { topic: channel.topic ?? null };
+        await channel.setTopic(topic);
+        changeset?.updated("channel", channel, before);
+        out.push(`📝 Topic set for **${liveChannelLabel(channel)}**`);
+        continue;
+      }
+
+      if (a.action === "grant_access" || a.action === "revoke_access") {
+        const role = resolve(findRole(guild, a.roleName));
+        if (!role) continue;
+        if (isAboveBot(guild, role)) { out.push(`❌ Can't change access for role (too high): ${role.name}`); continue; }
+
+        const target = resolve(a.categoryName ? findCategory(guild, a.categoryName) : findChannel(guild, a.channelName));
+        if (!target) continue;
+
+        const grant = a.action === "grant_access";
+        const before = { permissionOverwrites: serializeOverwrites(target) };
+        await target.permissionOverwrites.edit(role.id, { ViewChannel: grant });
+        changeset?.updated(target.type === ChannelType.GuildCategory ? "category" : "channel", target, before);
+        out.push(`${grant ? "✅" : "🚫"} **${role.name}** ${grant ? "can now see" : "can no longer see"} **${liveChannelLabel(target)}**`);
+        continue;
+      }
+
+      if (a.action === "lock_channel" || a.action === "unlock_channel") {
+        const channel = resolve(findTextChannel(guild, a.channelName));
+        if (!channel) continue;
+
+        const everyoneId = guild.roles.everyone.id;
+        const before = { permissionOverwrites: serializeOverwrites(channel) };
+
+        if (a.action === "lock_channel") {
+          await channel.permissionOverwrites.edit(everyoneId, { SendMessages: false });
+          out.push(`🔒 Locked **#${channel.name}**`);
+        } else {
+          await channel.permissionOverwrites.edit(everyoneId, { SendMessages: null });
+          out.push(`🔓 Unlocked **#${channel.name}**`);
+        }
+        changeset?.updated("channel", channel, before);
+        continue;
+      }
+
+      if (a.action === "set_slowmode") {
+        const channel = resolve(findTextChannel(guild, a.channelName));
+        if (!channel) continue;
+
+        const seconds = Math.max(0, Number(a.slowmode || 0));
+        const before = { rateLimitPerUser: channel.rateLimitPerUser ?? 0 };
+        await channel.setRateLimitPerUser(seconds);
+        changeset?.updated("channel", channel, before);
+        out.push(`⏱️ Slowmode **#${channel.name}** -> **${seconds}s**`);
+        continue;
+      }
+
+      out.push(`⚠️ Unknown action: ${a.action}`);
+    } catch (e) {
+      out.push(`❌ ${a.action} failed: ${e.message}`);
+    }
+  }
+
+  return out;
+}
+
+// ==============================
+// Edit Review (confirm + policy)
+// ==============================
+const EDIT_TTL_MS = 15 * 60 * 1000;
+const PENDING_EDITS = new Map(); // token -> { prompt, items, userId, guildId, expiresAt }
+
+// Fields each action reads (mirrors the /ai/edits prompt)
+const ACTION_FIELDS = {
+  edit_role_color: ["roleName", "color"],
+  rename_role: ["roleName", "newName"],
+  create_role: ["roleName", "color", "permPack", "hoist"],
+  delete_role: ["roleName"],
+  set_role_permpack: ["roleName", "permPack"],
+  set_role_hoist: ["roleName", "hoist"],
+  reorder_role: ["roleName", "aboveRoleName"],
+  rename_channel: ["channelName", "newName"],
+  rename_category: ["categoryName", "newName"],
+  create_channel: ["createChannelName", "inCategoryName"],
+  create_voice_channel: ["createChannelName", "inCategoryName", "userLimit"],
+  delete_channel: ["channelName"],
+  move_channel: ["channelName", "inCategoryName"],
+  reorder_channel: ["channelName", "aboveChannelName"],
+  set_topic: ["channelName", "topic"],
+  grant_access: ["roleName", "categoryName", "channelName"],
+  revoke_access: ["roleName", "categoryName", "channelName"],
+  lock_channel: ["channelName"],
+  unlock_channel: ["channelName"],
+  set_slowmode: ["channelName", "slowmode"]
+};
+
+// Deletes, permission and hierarchy changes always need an explicit click
+const DESTRUCTIVE_ACTIONS = new Set([
+  "delete_role", "delete_channel", "set_role_permpack", "grant_access", "revoke_access",
+  "lock_channel", "unlock_channel", "move_channel", "reorder_role"
+]);
+
+// Packs that give more than a regular member has
+function isElevatedPack(pack) {
+  return (PERM_PACKS[pack] || []).length > 0;
+}
+
+function isDestructive(a) {
+  return DESTRUCTIVE_ACTIONS.has(a.action) || (a.action === "create_role" && isElevatedPack(a.permPack));
+}
+
+// A pack reaches the ceiling when it grants something the ceiling role lacks, or everything it has
+function packReachesCeiling(pack, ceiling) {
+  if (!isElevatedPack(pack)) return false;
+  const perms = new PermissionsBitField(PERM_PACKS[pack]);
+  return !ceiling.permissions.has(perms) || perms.has(ceiling.permissions);
+}
+
+const DEFAULT_EDIT_POLICY = { autoApplySafe: false, roleCeilingId: null, protectedCategoryIds: [] };
+
+function editPolicy(guildId) {
+  return { ...DEFAULT_EDIT_POLICY, ...loadGuildState(guildId).editPolicy };
+}
+
+function actionField(a, field) {
+  return ACTION_FIELDS[a.action]?.includes(field) ? a[field] : undefined;
+}
+
+function describeAction(a) {
+  const parts = (ACTION_FIELDS[a.action] || [])
+    .filter(f => a[f] !== undefined && a[f] !== "")
+    .map(f => `${f}: ${String(a[f]).slice(0, 60)}`);
+  return `${a.action}${parts.length ? ` (${parts.join(", ")})` : ""}`;
+}
+
+// Why the guild's policy forbids an action, or null
+function policyViolation(guild, policy, a) {
+  const lang = guildLanguage(guild);
+  const ceiling = policy.roleCeilingId ? guild.roles.cache.get(policy.roleCeilingId) : null;
+  if (ceiling) {
+    for (const name of [actionField(a, "roleName"), actionField(a, "aboveRoleName")]) {
+      const role = name && a.action !== "create_role" ? findRole(guild, name).match : null;
+      if (role && role.position >= ceiling.position) return tr(lang, "policyRoleCeiling", { role: role.name, ceiling: ceiling.name }, " / ");
+    }
+    const pack = actionField(a, "permPack");
+    if (pack && packReachesCeiling(pack, ceiling)) return tr(lang, "policyPackCeiling", { pack, ceiling: ceiling.name }, " / ");
+  }
+
+  const protectedIds = new Set(policy.protectedCategoryIds);
+  if (!protectedIds.size) return null;
+
+  const categories = [actionField(a, "categoryName"), actionField(a, "inCategoryName")]
+    .filter(Boolean)
+    .map(name => findCategory(guild, name).match);
+  for (const name of [actionField(a, "channelName"), actionField(a, "aboveChannelName")]) {
+    const channel = name ? findChannel(guild, name).match : null;
+    if (channel?.parentId) categories.push(guild.channels.cache.get(channel.parentId));
+  }
+
+  const hit = categories.find(c => c && protectedIds.has(c.id));
+  return hit ? tr(lang, "policyProtected", { category: hit.name }, " / ") : null;
+}
+
+function reviewEdits(guild, actions) {
+  const policy = editPolicy(guild.id);
+  return actions.map((action, index) => ({
+    index,
+    action,
+    destructive: isDestructive(action),
+    blocked: policyViolation(guild, policy, action)
+  }));
+}
+
+function editReviewEmbed(prompt, items, lang = "EN") {
+  const lines = items.map(i => {
+    const icon = i.blocked ? "⛔" : i.destructive ? "🔴" : "🟢";
+    return `\`${i.index + 1}.\` ${icon} ${describeAction(i.action)}${i.blocked ? ` _(${i.blocked})_` : ""}`;
+  });
+  const destructive = items.filter(i => i.destructive && !i.blocked).length;
+  const blocked = items.filter(i => i.blocked).length;
+
+  return new EmbedBuilder()
+    .setTitle(tr(lang, "editPlanTitle", {}, " | "))
+    .setDescription(
+      `> ${prompt.slice(0, 200)}\n\n${lines.join("\n")}`.slice(0, 3800) +
+      `\n\n${tr(lang, "editPlanLegend", { destructive, blocked })}`
+    );
+}
+
+function editReviewRow(token, items, lang = "EN") {
+  const allowed = items.filter(i => !i.blocked);
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`edit:apply:${token}`)
+      .setLabel(tr(lang, "editApply", { count: allowed.length }, " / ").slice(0, 80))
+      .setStyle(allowed.some(i => i.destructive) ? ButtonStyle.Danger : ButtonStyle.Success)
+      .setDisabled(!allowed.length),
+    new ButtonBuilder()
+      .setCustomId(`edit:select:${token}`)
+      .setLabel(tr(lang, "editApplySelected", {}, " / ").slice(0, 80))
+      .setStyle(ButtonStyle.Primary)
+      .setDisabled(!allowed.length),
+    new ButtonBuilder().setCustomId(`edit:cancel:${token}`).setLabel(tr(lang, "cancel", {}, " / ")).setStyle(ButtonStyle.Secondary)
+  );
+}
+
+function editSelectRow(token, items, lang = "EN") {
+  const allowed = items.filter(i => !i.blocked).slice(0, 25);
+  return new ActionRowBuilder().addComponents(
+    new StringSelectMenuBuilder()
+      .setCustomId(`edit:pick:${token}`)
+      .setPlaceholder(tr(lang, "editPickPlaceholder", {}, " / ").slice(0, 150))
+      .setMinValues(1)
+      .setMaxValues(allowed.length)
+      .addOptions(allowed.map(i => ({
+        label: `${i.index + 1}. ${describeAction(i.action)}`.slice(0, 100),
+        description: tr(lang, i.destructive ? "editDestructive" : "editSafe", {}, " / "),
+        emoji: i.destructive ? "🔴" : "🟢",
+        value: String(i.index)
+      })))
+  );
+}
+
+async function applyEdits(interaction, prompt, actions) {
+  const changeset = startChangeset(interaction.guild.id, "edit", prompt, interaction.user.id);
+  // Only the changes hold the guild lock, not the AI call before them
+  const results = await store.withLock(interaction.guild.id, () => executeEdits(interaction.guild, { actions }, changeset));
+  await logEvent(interaction.guild, "edits", {
+    title: `✏️ AI edit: ${actions.length} action(s)`,
+    description: results.join("\n"),
+    user: interaction.user,
+    fields: [{ name: "Prompt", value: prompt }, { name: "Changeset", value: `#${changeset.id}`, inline: true }]
+  });
+  if (changeset.finish()) results.push(tr(guildLanguage(interaction.guild), "undoHint", { id: changeset.id }));
+  await interaction.followUp({ content: results.join("\n").slice(0, 1900), ephemeral: true });
+}
+
+async function sendEditReview(interaction, prompt, actions) {
+  const lang = guildLanguage(interaction.guild);
+  if (!actions.length) return interaction.followUp({ content: tr(lang, "editNone"), ephemeral: true });
+
+  const items = reviewEdits(interaction.guild, actions);
+  const policy = editPolicy(interaction.guild.id);
+
+  // Only all-safe, unblocked batches may skip the review
+  if (policy.autoApplySafe && items.every(i => !i.destructive && !i.blocked)) {
+    return applyEdits(interaction, prompt, actions);
+  }
+
+  const token = interaction.id;
+  PENDING_EDITS.set(token, {
+    prompt,
+    items,
+    userId: interaction.user.id,
+    guildId: interaction.guild.id,
+    expiresAt: Date.now() + EDIT_TTL_MS
+  });
+
+  await interaction.followUp({
+    embeds: [editReviewEmbed(prompt, items, lang)],
+    components: [editReviewRow(token, items, lang)],
+    ephemeral: true
+  });
+}
+
+async function handleEditInteraction(interaction) {
+  const [, choice, token] = interaction.customId.split(":");
+  const pending = PENDING_EDITS.get(token);
+  const lang = guildLanguage(interaction.guild);
+
+  if (!pending || pending.expiresAt < Date.now() || pending.guildId !== interaction.guild?.id) {
+    PENDING_EDITS.delete(token);
+    return interaction.update({ content: tr(lang, "editExpired"), embeds: [], components: [] });
+  }
+  if (pending.userId !== interaction.user.id) return safeReply(interaction, tr(lang, "editOwnerOnly"));
+
+  if (choice === "select") {
+    return interaction.update({
+      components: [editSelectRow(token, pending.items, lang), editReviewRow(token, pending.items, lang)]
+    });
+  }
+
+  PENDING_EDITS.delete(token);
+
+  if (choice === "cancel") {
+    return interaction.update({ content: tr(lang, "editCancelled"), embeds: [], components: [] });
+  }
+
+  const picked = choice === "pick" ? new Set(interaction.values.map(Number)) : null;
+  const actions = pending.items
+    .filter(i => !i.blocked && (!picked || picked.has(i.index)))
+    .map(i => i.action);
+
+  await interaction.update({ content: tr(lang, "editApplying", { count: actions.length }), components: [] });
+  try {
+    await applyEdits(interaction, pending.prompt, actions);
+  } catch (e) {
+    await interaction.followUp({ content: tr(lang, "editFailed", { error: e.message }), ephemeral: true });
+  }
+}
+
+function editPolicySummary(guild, policy) {
+  const ceiling = policy.roleCeilingId ? guild.roles.cache.get(policy.roleCeilingId) : null;
+  const cats = policy.protectedCategoryIds
+    .map(id => guild.channels.cache.get(id)?.name)
+    .filter(Boolean);
+  return [
+    "🛡️ AI edit policy:",
+    `• Auto-apply safe edits: **${policy.autoApplySafe ? "on" : "off"}**`,
+    `• Role ceiling: ${ceiling ? `AI can't touch **${ceiling.name}** or anything above it` : "none"}`,
+    `• Protected categories: ${cats.length ? cats.map(n => `**${n}**`).join(", ") : "none"}`
+  ].join("\n");
+}
+
+// ==============================
+// Slash Commands (AI)
+// ==============================
+const commands = [
+  new SlashCommandBuilder()
+    .setName("buildprompt")
+    .setDescription("AI: Build a server from your prompt")
+    .addStringOption(o =>
+      o.setName("prompt").setDescription("Describe the server you want").setRequired(true)
+    )
+    .addStringOption(o =>
+      o.setName("language").setDescription("Server language (default: picked from your prompt)")
+        .addChoices(
+          { name: "English", value: "EN" },
+          { name: "עברית", value: "HE" },
+          { name: "English + עברית", value: "EN+HE" }
+        )
+    ),
+
+  new SlashCommandBuilder()
+    .setName("editprompt")
+    .setDescription("AI: Edit the server from your prompt")
+    .addStringOption(o =>
+      o.setName("prompt").setDescription("Describe changes you want").setRequired(true)
+    ),
+
+  new SlashCommandBuilder()
+    .setName("editpolicy")
+    .setDescription("Limit what /editprompt may change")
+    .addSubcommand(s =>
+      s.setName("show").setDescription("Show the current policy")
+    )
+    .addSubcommand(s =>
+      s.setName("autoapply").setDescription("Apply edits without review when none are destructive")
+        .addBooleanOption(o => o.setName("enabled").setDescription("Skip the review for safe edits").setRequired(true))
+    )
+    .addSubcommand(s =>
+      s.setName("role-ceiling").setDescription("Block AI edits to this role and every role above it")
+        .addRoleOption(o => o.setName("role").setDescription("Ceiling role (leave empty to clear)"))
+    )
+    .addSubcommand(s =>
+      s.setName("protect-category").setDescription("Block AI edits inside a category")
+        .addChannelOption(o =>
+          o.setName("category").setDescription("Category").setRequired(true).addChannelTypes(ChannelType.GuildCategory)
+        )
+        .addBooleanOption(o => o.setName("protected").setDescription("Protect (default) or unprotect"))
+    ),
+
+  new SlashCommandBuilder()
+    .setName("verification")
+    .setDescription("Rules gate: members press a button to unlock the server")
+    .addSubcommand(s =>
+      s.setName("enable").setDescription("Hide the server from unverified members and post the accept button")
+        .addChannelOption(o =>
+          o.setName("channel").setDescription("Where the button goes (default: #rules)")
+            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+        )
+        .addRoleOption(o => o.setName("role").setDescription("Role the button grants (default: Verified, created if missing)"))
+        .addRoleOption(o => o.setName("member_role").setDescription("Extra role to grant with it, e.g. Member"))
+        .addBooleanOption(o => o.setName("existing_members").setDescription("Give the role to everyone already here (default: yes)"))
+    )
+    .addSubcommand(s =>
+      s.setName("disable").setDescription("Lift the gate and remove the button")
+    )
+    .addSubcommand(s =>
+      s.setName("status").setDescription("Show the verification setup")
+    ),
+
+  new SlashCommandBuilder()
+    .setName("logs")
+    .setDescription("Choose what the bot posts to #bot-logs and #mod-logs")
+    .addSubcommand(s =>
+      s.setName("status").setDescription("Show which events are logged and where")
+    )
+    .addSubcommand(s =>
+      s.setName("set").setDescription("Turn logging of one kind of event on or off")
+        .addStringOption(o =>
+          o.setName("event").setDescription("Kind of event").setRequired(true)
+            .addChoices(...Object.entries(LOG_CATEGORIES).map(([value, c]) => ({ name: c.label, value })))
+        )
+        .addBooleanOption(o => o.setName("enabled").setDescription("Log it").setRequired(true))
+    ),
+
+  new SlashCommandBuilder()
+    .setName("resume")
+    .setDescription("Resume the last interrupted build"),
+
+  new SlashCommandBuilder()
+    .setName("jobs")
+    .setDescription("Queued builds and AI generations")
+    .addSubcommand(s =>
+      s.setName("status").setDescription("Show the running job, the queue and recent jobs")
+    )
+    .addSubcommand(s =>
+      s.setName("cancel").setDescription("Cancel a running or queued job")
+        .addIntegerOption(o => o.setName("id").setDescription("Job id from /jobs status (default: the running job)").setMinValue(1))
+    ),
+
+  new SlashCommandBuilder()
+    .setName("history")
+    .setDescription("List recent builds and AI edits that can be undone"),
+
+  new SlashCommandBuilder()
+    .setName("undo")
+    .setDescription("Revert a build or AI edit batch")
+    .addIntegerOption(o =>
+      o.setName("id").setDescription("Changeset id from /history (default: latest)").setMinValue(1)
+    ),
+
+  new SlashCommandBuilder()
+    .setName("export")
+    .setDescription("Export this server's layout as a blueprint JSON file"),
+
+  new SlashCommandBuilder()
+    .setName("import")
+    .setDescription("Build this server from an uploaded blueprint JSON file")
+    .addAttachmentOption(o =>
+      o.setName("file").setDescription("Blueprint .json (e.g. from /export)").setRequired(true)
+    ),
+
+  new SlashCommandBuilder()
+    .setName("blueprint")
+    .setDescription("Saved blueprints (stored by the API, with version history)")
+    .addSubcommand(s =>
+      s.setName("save").setDescription("Save the last build (or this server's layout) to the library")
+        .addStringOption(o => o.setName("name").setDescription("Library name (default: the blueprint's name)"))
+        .addStringOption(o => o.setName("tags").setDescription("Comma-separated tags"))
+        .addStringOption(o =>
+          o.setName("source").setDescription("What to save (default: last build)")
+            .addChoices({ name: "Last build", value: "last-build" }, { name: "Current server layout", value: "server" })
+        )
+        .addIntegerOption(o => o.setName("id").setDescription("Save as a new version of this library id").setMinValue(1))
+        .addStringOption(o => o.setName("note").setDescription("Version note"))
+    )
+    .addSubcommand(s =>
+      s.setName("list").setDescription("List this server's saved blueprints")
+        .addStringOption(o => o.setName("tag").setDescription("Only blueprints with this tag"))
+    )
+    .addSubcommand(s =>
+      s.setName("build").setDescription("Build the server from a saved blueprint")
+        .addIntegerOption(o => o.setName("id").setDescription("Library id from /blueprint list").setRequired(true).setMinValue(1))
+        .addIntegerOption(o => o.setName("version").setDescription("Version (default: latest)").setMinValue(1))
+    ),
+
+  new SlashCommandBuilder()
+    .setName("template")
+    .setDescription("Build a server from a bundled template (no AI)")
+    .addSubcommand(s =>
+      s.setName("list").setDescription("List available templates")
+    )
+    .addSubcommand(s =>
+      s.setName("preview").setDescription("Show what a template will create")
+        .addStringOption(o => templateIdOption(o))
+    )
+    .addSubcommand(s =>
+      s.setName("apply").setDescription("Build the server from a template")
+        .addStringOption(o => templateIdOption(o))
+    )
+].map(c => c.toJSON());
+
+function templateIdOption(o) {
+  o.setName("id").setDescription("Template id").setRequired(true);
+  const choices = [...TEMPLATES.values()].slice(0, 25).map(t => ({ name: t.name.slice(0, 100), value: t.id }));
+  if (choices.length) o.addChoices(...choices);
+  return o;
+}
+
+async function registerCommands() {
+  const token = process.env.BOT_TOKEN;
+  const clientId = process.env.CLIENT_ID;
+
+  if (!token || !clientId) throw new Error("Missing BOT_TOKEN or CLIENT_ID in bot/.env");
+
+  const rest = new REST({ version: "10" }).setToken(token);
+  await rest.put(Routes.applicationCommands(clientId), { body: commands });
+  console.log("✅ Slash commands registered (global).");
+}
+
+// ==============================
+// Client
+// ==============================
+const bot = new Client({
+  // GuildMembers lets /verification fetch everyone already in the server (and logs joins/leaves).
+  // MessageContent (privileged, opt-in) fills ticket transcripts.
+  intents: [
+    GatewayIntentBits.Guilds,
+    GatewayIntentBits.GuildMembers,
+    ...(TICKET_TRANSCRIPTS ? [GatewayIntentBits.MessageContent] : [])
+  ]
+});
+
+bot.rest.on("rateLimited", noteRateLimit);
+
+bot.once("ready", () => {
+  console.log(`✅ Logged in as ${bot.user.tag}`);
+});
+
+// Server events for the log channels (off until turned on with /logs)
+bot.on("channelCreate", (c) => logEvent(c.guild, "channels", { title: "➕ Channel created", description: `${c} (${c.name})` }));
+bot.on("channelDelete", (c) => c.guild && logEvent(c.guild, "channels", { title: "🗑️ Channel deleted", description: `#${c.name}` }));
+
+// A ticket channel or thread deleted by hand closes its ticket (closing one ourselves marks it closed first)
+async function closeDeletedTicket(channel) {
+  if (!channel.guild) return;
+  await store.withLock(`tickets:${channel.guild.id}`, async () => {
+    const ticket = Object.values(guildTickets(channel.guild.id).tickets).find(t => t.channelId === channel.id && t.status !== "closed");
+    if (ticket) await closeTicket(channel.guild, ticket, null, "Ticket channel was deleted");
+  }).catch(e => console.warn(`⚠️ Couldn't close the ticket for deleted channel ${channel.id}: ${e.message}`));
+}
+bot.on("channelDelete", closeDeletedTicket);
+bot.on("threadDelete", closeDeletedTicket);
+bot.on("channelUpdate", (before, after) => {
+  const changes = after.guild ? describeChanges(before, after, CHANNEL_LOG_FIELDS) : [];
+  if (changes.length) logEvent(after.guild, "channels", { title: "✏️ Channel updated", description: [`${after}`, ...changes].join("\n") });
+});
+bot.on("roleCreate", (r) => logEvent(r.guild, "roles", { title: "➕ Role created", description: `${r} (${r.name})` }));
+bot.on("roleDelete", (r) => logEvent(r.guild, "roles", { title: "🗑️ Role deleted", description: `@${r.name}` }));
+bot.on("roleUpdate", (before, after) => {
+  const changes = describeChanges(before, after, ROLE_LOG_FIELDS);
+  if (changes.length) logEvent(after.guild, "roles", { title: "✏️ Role updated", description: [`${after}`, ...changes].join("\n") });
+});
+bot.on("guildMemberAdd", (m) => logEvent(m.guild, "members", {
+  title: "📥 Member joined",
+  description: `${m.user} (${m.user.tag})`,
+  fields: [{ name: "Account created", value: `<t:${Math.floor(m.user.createdTimestamp / 1000)}:R>` }]
+}));
+bot.on("guildMemberRemove", (m) => logEvent(m.guild, "members", { title: "📤 Member left", description: `${m.user} (${m.user.tag})` }));
+
+// Buttons, menus and modals: a failure (e.g. a missing permission) gets an ephemeral reply
+// and a #bot-logs entry instead of an unhandled rejection
+async function handleComponent(interaction, handler) {
+  try {
+    await handler(interaction);
+  } catch (e) {
+    console.warn(`⚠️ ${interaction.customId} failed: ${e.message}`);
+    await safeReply(interaction, tr(guildLanguage(interaction.guild), "interactionFailed", { error: e.message }));
+    await logEvent(interaction.guild, "failures", {
+      title: `❌ ${interaction.customId.split(":").slice(0, 2).join(":")} failed`,
+      description: e.message,
+      user: interaction.user
+    });
+  }
+}
+
+bot.on("interactionCreate", async (interaction) => {
+  if (!interaction.isChatInputCommand() && !interaction.isButton() && !interaction.isStringSelectMenu() && !interaction.isModalSubmit()) return;
+
+  if (!interaction.guild) return safeReply(interaction, "❌ Use this in a server.");
+
+  // Role menus, the verification button and tickets are for every member; everything else is admin-only
+  if ((interaction.isButton() || interaction.isStringSelectMenu()) && interaction.customId.startsWith("rolemenu:")) {
+    return handleComponent(interaction, handleRoleMenuInteraction);
+  }
+  if (interaction.isButton() && interaction.customId.startsWith("verify:")) return handleComponent(interaction, handleVerifyInteraction);
+  if (interaction.isButton() && interaction.customId.startsWith("ticket:")) return handleComponent(interaction, handleTicketInteraction);
+  if (!requireAdmin(interaction)) return safeReply(interaction, "❌ You need Administrator.");
+
+  if (interaction.isButton() || interaction.isStringSelectMenu() || interaction.isModalSubmit()) {
+    if (interaction.customId.startsWith("build:")) return handleComponent(interaction, handleBuildButton);
+    if (interaction.customId.startsWith("edit:")) return handleComponent(interaction, handleEditInteraction);
+    return;
+  }
+
+  if (interaction.commandName === "buildprompt") {
+    const prompt = interaction.options.getString("prompt");
+    const language = interaction.options.getString("language");
+    const lang = language || guildLanguage(interaction.guild);
+    await interaction.reply({ content: tr(lang, "genQueueing"), ephemeral: true });
+
+    enqueueJob(interaction, "generate", prompt, async (live) => {
+      let phase = { phase: "generating" };
+      let tokens = null;
+      await live.progress(generationProgressText(phase, tokens, lang), true);
+      try {
+        const data = await apiStream("/ai/blueprint/stream", { prompt, language }, {
+          signal: live.controller.signal,
+          actor: apiActor(interaction),
+          onEvent: (event) => {
+            if (event.type === "phase") phase = event;
+            if (event.type === "tokens") tokens = event;
+            return live.progress(generationProgressText(phase, tokens, lang), event.type === "phase");
+          }
+        });
+        await live.progress(`${tr(lang, "genReady")}${data.tokens ? ` (${data.tokens.prompt + data.tokens.output} tokens)` : ""}`, true);
+        await sendBuildPlan(interaction, data.blueprint);
+      } catch (e) {
+        const cooldown = cooldownMessage(lang, e);
+        if (cooldown) {
+          await live.progress(cooldown, true);
+          throw e;
+        }
+        const details = e.details?.length ? `\n- ${e.details.slice(0, 15).join("\n- ")}` : "";
+        await live.progress(tr(lang, live.controller.signal.aborted ? "genCancelled" : "genBroke"), true);
+        if (!live.controller.signal.aborted) await live.notify(`${tr(lang, "genFailed", { error: e.message })}${details}`);
+        throw e;
+      }
+    });
+  }
+
+  if (interaction.commandName === "editprompt") {
+    const prompt = interaction.options.getString("prompt");
+    const lang = guildLanguage(interaction.guild);
+    await interaction.reply({ content: tr(lang, "editQueueing"), ephemeral: true });
+
+    enqueueJob(interaction, "edit", prompt, async (live) => {
+      await live.progress(tr(lang, "editConverting"), true);
+      try {
+        // Snapshot when the job starts so earlier queued jobs are reflected
+        const data = await apiPost("/ai/edits", { prompt, guild: editSnapshot(interaction.guild) }, { signal: live.controller.signal, actor: apiActor(interaction) });
+        await live.progress(tr(lang, "editReady"), true);
+        await sendEditReview(interaction, prompt, data.edits?.actions || []);
+      } catch (e) {
+        const cooldown = cooldownMessage(lang, e);
+        if (cooldown) {
+          await live.progress(cooldown, true);
+          throw e;
+        }
+        await live.progress(tr(lang, live.controller.signal.aborted ? "editStopped" : "editBroke"), true);
+        if (!live.controller.signal.aborted) await live.notify(tr(lang, "editFailed", { error: e.message }));
+        throw e;
+      }
+    });
+  }
+
+  if (interaction.commandName === "editpolicy") {
+    const sub = interaction.options.getSubcommand();
+    const gs = loadGuildState(interaction.guild.id);
+    const policy = { ...DEFAULT_EDIT_POLICY, ...gs.editPolicy };
+
+    if (sub === "autoapply") policy.autoApplySafe = interaction.options.getBoolean("enabled", true);
+    if (sub === "role-ceiling") policy.roleCeilingId = interaction.options.getRole("role")?.id || null;
+    if (sub === "protect-category") {
+      const cat = interaction.options.getChannel("category", true);
+      const ids = new Set(policy.protectedCategoryIds);
+      if (interaction.options.getBoolean("protected") ?? true) ids.add(cat.id);
+      else ids.delete(cat.id);
+      policy.protectedCategoryIds = [...ids];
+    }
+
+    if (sub !== "show") {
+      gs.editPolicy = policy;
+      saveGuildState(interaction.guild.id, gs, ["editPolicy"]);
+    }
+    return safeReply(interaction, editPolicySummary(interaction.guild, policy));
+  }
+
+  if (interaction.commandName === "verification") {
+    const sub = interaction.options.getSubcommand();
+    const guild = interaction.guild;
+    const gs = loadGuildState(guild.id);
+    const lang = guildLanguage(guild);
+
+    if (sub === "status") return safeReply(interaction, verificationSummary(gs.verification, lang));
+
+    if (sub === "disable") {
+      if (!gs.verification) return safeReply(interaction, tr(lang, "verifyNotEnabled"));
+      await interaction.reply({ content: tr(lang, "verifyDisableQueueing"), ephemeral: true });
+
+      return enqueueJob(interaction, "verification", "Disable verification", async (live) => {
+        const changeset = startChangeset(guild.id, "verification", "Disable verification", interaction.user.id);
+        try {
+          await live.progress(tr(lang, "verifyDisabling"), true);
+          await disableVerification(guild, { changeset });
+          await live.progress(tr(lang, "verifyDisabled", { id: changeset.id }), true);
+        } catch (e) {
+          await live.progress(tr(lang, "verifyDisableBroke"), true);
+          await live.notify(tr(lang, "verifyDisableFailed", { error: e.message }));
+          throw e;
+        } finally {
+          changeset.finish();
+        }
+      }, { exclusive: true });
+    }
+
+    const channel = interaction.options.getChannel("channel") || findRulesChannel(guild, gs);
+    if (!channel) return safeReply(interaction, tr(lang, "verifyNoRules"));
+    let role = interaction.options.getRole("role") ||
+      guild.roles.cache.get(gs.roles.verified) ||
+      guild.roles.cache.find(r => r.name.toLowerCase() === "verified") ||
+      null;
+    const memberRole = interaction.options.getRole("member_role");
+    const refused = [role, memberRole].filter(r => r && !selfAssignable(guild, r));
+    if (refused.length) {
+      return safeReply(interaction, tr(lang, "roleMenuRefused", { roles: refused.join(", ") }));
+    }
+    const existing = interaction.options.getBoolean("existing_members") ?? true;
+    await interaction.reply({ content: tr(lang, "verifySetupQueueing"), ephemeral: true });
+
+    const label = `Enable verification in #${channel.name}`;
+    return enqueueJob(interaction, "verification", label, async (live) => {
+      const changeset = startChangeset(guild.id, "verification", label, interaction.user.id);
+      try {
+        await live.progress(tr(lang, "verifySettingUp"), true);
+        if (!role) {
+          role = await guild.roles.create({ name: "Verified", permissions: [], reason: "Verification gate" });
+          changeset.created("role", role);
+        }
+        const v = await enableVerification(guild, { channel, role, memberRole, changeset, signal: live.controller.signal });
+
+        let verified = 0;
+        if (existing) {
+          await live.progress(tr(lang, "verifyMembers"), true);
+          verified = await verifyExistingMembers(guild, [v.roleId, v.memberRoleId].filter(Boolean), {
+            signal: live.controller.signal,
+            onProgress: (done, total) => live.progress(`${tr(lang, "verifyMembersProgress", {}, " / ")}\n${progressBar(done, total)}`)
+          });
+        }
+
+        await live.progress([
+          tr(lang, "verifyEnabled", { channel: channel.toString(), count: v.gatedIds.length }),
+          ...(existing ? [tr(lang, "verifyMembersDone", { count: verified })] : []),
+          tr(lang, "undoHint", { id: changeset.id })
+        ].join("\n"), true);
+      } catch (e) {
+        const cancelled = live.controller.signal.aborted;
+        await live.progress(tr(lang, cancelled ? "verifySetupStopped" : "verifySetupBroke"), true);
+        if (!cancelled) await live.notify(tr(lang, "verifySetupFailed", { error: e.message }));
+        throw e;
+      } finally {
+        changeset.finish();
+      }
+    }, { exclusive: true });
+  }
+
+  if (interaction.commandName === "logs") {
+    const gs = loadGuildState(interaction.guild.id);
+    if (interaction.options.getSubcommand() === "set") {
+      gs.logs = { ...gs.logs, [interaction.options.getString("event", true)]: interaction.options.getBoolean("enabled", true) };
+      saveGuildState(interaction.guild.id, gs, ["logs"]);
+    }
+    return safeReply(interaction, logsSummary(interaction.guild, gs));
+  }
+
+  if (interaction.commandName === "resume") {
+    const { build } = loadGuildState(interaction.guild.id);
+    if (!build || build.status === "done") return safeReply(interaction, "ℹ️ No interrupted build to resume.");
+
+    if (guildQueue(interaction.guild.id).running?.job.kind === "build") {
+      return safeReply(interaction, "ℹ️ A build is already running. See `/jobs status`.");
+    }
+
+    await interaction.reply({ content: `🔁 Resuming **${build.name}**...`, ephemeral: true });
+    enqueueBuild(interaction, build.blueprint, `Resume: ${build.name}`);
+  }
+
+  if (interaction.commandName === "jobs") {
+    const guildId = interaction.guild.id;
+    const lang = guildLanguage(interaction.guild);
+
+    if (interaction.options.getSubcommand() === "cancel") {
+      const job = cancelJob(guildId, interaction.options.getInteger("id"));
+      if (!job) return safeReply(interaction, tr(lang, "jobsNoMatch"));
+      return safeReply(interaction, tr(lang, job.status === "cancelled" ? "jobsCancelledQueued" : "jobsCancelling", { id: job.id, kind: job.kind }));
+    }
+
+    const queue = guildQueue(guildId);
+    const JOB_ICONS = { queued: "⏳", running: "▶️", done: "✅", failed: "❌", cancelled: "🛑", interrupted: "⚠️" };
+    const status = (s) => JOB_ICONS[s] ? tr(lang, `status${s[0].toUpperCase()}${s.slice(1)}`, {}, " / ") : s;
+    const line = (job) => `${JOB_ICONS[job.status] || "•"} \`#${job.id}\` ${job.kind} · ${job.label.slice(0, 60)} · ${status(job.status)}`;
+    const heading = (key) => `**${tr(lang, key, {}, " / ")}**`;
+
+    const lines = [];
+    if (queue.running) lines.push(`${heading("jobsRunning")}\n${line(queue.running.job)}\n${queue.running.text}`);
+    if (queue.waiting.length) lines.push(`${heading("jobsQueued")}\n${queue.waiting.map(l => line(l.job)).join("\n")}`);
+
+    const live = new Set([queue.running, ...queue.waiting].filter(Boolean).map(l => l.job.id));
+    const recent = listJobs(guildId).filter(j => !live.has(j.id)).slice(-5).reverse();
+    if (recent.length) lines.push(`${heading("jobsRecent")}\n${recent.map(line).join("\n")}`);
+
+    return safeReply(interaction, (lines.join("\n\n") || tr(lang, "jobsNone")).slice(0, 1900));
+  }
+
+  if (interaction.commandName === "history") {
+    const list = listChangesets(interaction.guild.id).slice(-15).reverse();
+    if (!list.length) return safeReply(interaction, "📜 No history yet.");
+
+    const lines = list.map(cs =>
+      `\`#${cs.id}\` ${{ build: "🏗️", verification: "🛡️" }[cs.kind] || "✏️"} ${cs.label || cs.kind} · ${cs.entries.length} changes · <t:${Math.floor(Date.parse(cs.createdAt) / 1000)}:R>` +
+      (cs.undoneAt ? " · ↩️ undone" : "")
+    );
+    return safeReply(interaction, `📜 History:\n${lines.join("\n")}`.slice(0, 1900));
+  }
+
+  if (interaction.commandName === "undo") {
+    const list = listChangesets(interaction.guild.id);
+    const id = interaction.options.getInteger("id");
+    const cs = id ? list.find(x => x.id === id) : [...list].reverse().find(x => !x.undoneAt && x.finishedAt);
+
+    if (!cs) return safeReply(interaction, "❌ Nothing to undo. See /history.");
+    if (cs.undoneAt) return safeReply(interaction, `❌ Changeset #${cs.id} was already undone.`);
+    if (!cs.finishedAt) return safeReply(interaction, `❌ Changeset #${cs.id} is still running.`);
+
+    await interaction.reply({ content: `↩️ Undoing #${cs.id} (${cs.entries.length} changes)...`, ephemeral: true });
+    // Waits for a running build or edit; another /undo may have got there first
+    const results = await store.withLock(interaction.guild.id, () =>
+      listChangesets(interaction.guild.id).find(x => x.id === cs.id)?.undoneAt
+        ? [`❌ Changeset #${cs.id} was already undone.`]
+        : undoChangeset(interaction.guild, cs));
+    await logEvent(interaction.guild, "edits", {
+      title: `↩️ Undid #${cs.id} (${cs.kind})`,
+      description: results.join("\n"),
+      user: interaction.user,
+      fields: [{ name: "Changeset", value: cs.label || cs.kind }]
+    });
+    await interaction.followUp({ content: (results.join("\n") || "Nothing to revert.").slice(0, 1900), ephemeral: true });
+  }
+
+  if (interaction.commandName === "export") {
+    const blueprint = exportGuild(interaction.guild);
+    const fileName = `${normalizeChannelName(interaction.guild.name) || "server"}.json`;
+    const file = new AttachmentBuilder(Buffer.from(JSON.stringify(blueprint, null, 2)), { name: fileName });
+    const channelCount = blueprint.categories.reduce((sum, c) => sum + c.channels.length, 0);
+
+    return interaction.reply({
+      content: `📤 Exported **${blueprint.roles.length}** roles, **${blueprint.categories.length}** categories, **${channelCount}** channels.`,
+      files: [file],
+      ephemeral: true
+    });
+  }
+
+  if (interaction.commandName === "import") {
+    const attachment = interaction.options.getAttachment("file");
+    await interaction.reply({ content: `📥 Reading **${attachment.name}**...`, ephemeral: true });
+
+    try {
+      const blueprint = await readImportFile(attachment);
+      await sendBuildPlan(interaction, blueprint);
+    } catch (e) {
+      await interaction.followUp({ content: `❌ Import failed: ${e.message}`.slice(0, 1900), ephemeral: true });
+    }
+  }
+
+  if (interaction.commandName === "blueprint") {
+    const sub = interaction.options.getSubcommand();
+    const guildId = interaction.guild.id;
+    // The API scopes the library to the guild in the signed actor headers
+    const actor = apiActor(interaction);
+
+    if (sub === "save") {
+      const source = interaction.options.getString("source") || "last-build";
+      const blueprint = source === "server" ? exportGuild(interaction.guild) : loadGuildState(guildId).build?.blueprint;
+      if (!blueprint) return safeReply(interaction, "ℹ️ Nothing to save yet. Build something first, or use `source: Current server layout`.");
+
+      const id = interaction.options.getInteger("id");
+      const body = {
+        blueprint,
+        name: interaction.options.getString("name") ?? undefined,
+        tags: interaction.options.getString("tags") ?? undefined,
+        note: interaction.options.getString("note") || ""
+      };
+      await interaction.reply({ content: "💾 Saving blueprint...", ephemeral: true });
+
+      try {
+        const saved = id ? await apiRequest("PUT", `/blueprints/${id}`, body, { actor }) : await apiPost("/blueprints", body, { actor });
+        const lines = [`💾 Saved **${saved.name}** as \`#${saved.id}\` v${saved.version}. Build it with \`/blueprint build id:${saved.id}\`.`];
+        if (id && !saved.versionAdded) lines.push("ℹ️ No changes since the last version.");
+        if (saved.diff) {
+          const { added, removed, changed } = saved.diff.summary;
+          lines.push(`🔀 Since v${saved.version - 1}: ➕ ${added} · ➖ ${removed} · ✏️ ${changed}`);
+        }
+        await interaction.followUp({ content: lines.join("\n"), ephemeral: true });
+      } catch (e) {
+        const details = e.details?.length ? `\n- ${e.details.slice(0, 15).join("\n- ")}` : "";
+        await interaction.followUp({ content: `❌ Save failed: ${e.message}${details}`.slice(0, 1900), ephemeral: true });
+      }
+      return;
+    }
+
+    if (sub === "list") {
+      const tag = interaction.options.getString("tag");
+      const query = new URLSearchParams(tag ? { tag } : {});
+      try {
+        const { blueprints } = await apiRequest("GET", `/blueprints?${query}`, null, { actor });
+        if (!blueprints.length) return safeReply(interaction, "📚 No saved blueprints yet. Use `/blueprint save`.");
+        const lines = blueprints.slice(0, 20).map(b =>
+          `\`#${b.id}\` **${b.name}** v${b.version}${b.tags.length ? ` · ${b.tags.join(", ")}` : ""} · <t:${Math.floor(Date.parse(b.updatedAt) / 1000)}:R>`
+        );
+        return safeReply(interaction, `📚 Saved blueprints:\n${lines.join("\n")}`.slice(0, 1900));
+      } catch (e) {
+        return safeReply(interaction, `❌ Couldn't load the library: ${e.message}`);
+      }
+    }
+
+    if (sub === "build") {
+      const id = interaction.options.getInteger("id", true);
+      const version = interaction.options.getInteger("version");
+      const query = new URLSearchParams(version ? { version: String(version) } : {});
+      await interaction.reply({ content: `📚 Loading blueprint \`#${id}\`...`, ephemeral: true });
+
+      try {
+        const saved = await apiRequest("GET", `/blueprints/${id}?${query}`, null, { actor });
+        await sendBuildPlan(interaction, saved.blueprint);
+      } catch (e) {
+        await interaction.followUp({ content: `❌ Couldn't load blueprint #${id}: ${e.message}`, ephemeral: true });
+      }
+      return;
+    }
+  }
+
+  if (interaction.commandName === "template") {
+    const sub = interaction.options.getSubcommand();
+
+    if (sub === "list") {
+      if (!TEMPLATES.size) return safeReply(interaction, "📦 No templates found in bot/templates.");
+      const lines = [...TEMPLATES.values()].map(t => `• \`${t.id}\` — **${t.name}** (${t.language || "EN"})`);
+      return safeReply(interaction, `📦 Templates:\n${lines.join("\n")}`.slice(0, 1900));
+    }
+
+    const tpl = TEMPLATES.get(interaction.options.getString("id"));
+    if (!tpl) return safeReply(interaction, "❌ Unknown template. Use /template list.");
+
+    if (sub === "preview") {
+      return interaction.reply({ embeds: [templatePreviewEmbed(tpl)], ephemeral: true });
+    }
+
+    if (sub === "apply") {
+      await interaction.reply({ content: `📦 Planning **${tpl.name}** from template...`, ephemeral: true });
+      await sendBuildPlan(interaction, structuredClone(tpl));
     }
   }
 });
@@ -407,6 +3599,10 @@ bot.on("interactionCreate", async (interaction) => {
 // ==============================
 (async () => {
   try {
+    const migrated = migrateLegacyFiles(store, DATA_DIR);
+    if (migrated.length) console.log(`📦 Moved ${migrated.join(", ")} into the ${store.backend} store`);
+    closeDanglingChangesets();
+    closeInterruptedJobs();
     await registerCommands();
     await bot.login(process.env.BOT_TOKEN);
   } catch (e) {
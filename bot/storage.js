@@ -0,0 +1,170 @@
+const fs = require("fs");
+const path = require("path");
+
+// ==============================
+// Storage (guild state, changesets, jobs, tickets)
+// ==============================
+// Records are JSON values addressed by (collection, key); the key is the guild id.
+// Backends: "sqlite" (default, one bot.db) and "json" (one file per record, for dev).
+// Both write atomically, so a crash mid-write can't corrupt another guild's data.
+
+const BACKENDS = ["sqlite", "json"];
+
+// Write to a temp file, flush it to disk, then swap it in: readers see the old or the new file, never half of one
+function writeFileAtomic(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmp, "w");
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmp, file);
+}
+
+function jsonBackend(dir) {
+  const fileOf = (collection, key) => path.join(dir, collection, `${encodeURIComponent(key)}.json`);
+
+  return {
+    get(collection, key) {
+      try {
+        return JSON.parse(fs.readFileSync(fileOf(collection, key), "utf8"));
+      } catch (e) {
+        if (e.code === "ENOENT") return null;
+        throw e;
+      }
+    },
+    set(collection, key, value) {
+      writeFileAtomic(fileOf(collection, key), JSON.stringify(value, null, 2));
+    },
+    delete(collection, key) {
+      fs.rmSync(fileOf(collection, key), { force: true });
+    },
+    keys(collection) {
+      const folder = path.join(dir, collection);
+      if (!fs.existsSync(folder)) return [];
+      return fs.readdirSync(folder).filter(f => f.endsWith(".json")).map(f => decodeURIComponent(f.slice(0, -5))).sort();
+    },
+    // One process and synchronous calls: nothing can run in between
+    transaction: (fn) => fn(),
+    close() {}
+  };
+}
+
+function sqliteBackend(file) {
+  let Database;
+  try {
+    Database = require("better-sqlite3");
+  } catch {
+    throw new Error("The sqlite storage backend needs better-sqlite3: run `npm install` in bot/ (or set STORAGE_BACKEND=json)");
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS records (
+      collection TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      updated_at TEXT NOT NULL,
+      PRIMARY KEY (collection, key)
+    )
+  `);
+
+  const selectOne = db.prepare("SELECT value FROM records WHERE collection = ? AND key = ?");
+  const upsert = db.prepare(`
+    INSERT INTO records (collection, key, value, updated_at) VALUES (?, ?, ?, ?)
+    ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+  `);
+  const remove = db.prepare("DELETE FROM records WHERE collection = ? AND key = ?");
+  const selectKeys = db.prepare("SELECT key FROM records WHERE collection = ? ORDER BY key");
+
+  return {
+    get(collection, key) {
+      const row = selectOne.get(collection, key);
+      return row ? JSON.parse(row.value) : null;
+    },
+    set(collection, key, value) {
+      upsert.run(collection, key, JSON.stringify(value), new Date().toISOString());
+    },
+    delete(collection, key) {
+      remove.run(collection, key);
+    },
+    keys(collection) {
+      return selectKeys.all(collection).map(row => row.key);
+    },
+    transaction: (fn) => db.transaction(fn)(),
+    close: () => db.close()
+  };
+}
+
+function openStorage({ dataDir, backend = process.env.STORAGE_BACKEND || "sqlite", location = process.env.STORAGE_PATH }) {
+  if (!BACKENDS.includes(backend)) throw new Error(`Unknown STORAGE_BACKEND "${backend}" (use ${BACKENDS.join(" or ")})`);
+  const impl = backend === "json"
+    ? jsonBackend(location || path.join(dataDir, "store"))
+    : sqliteBackend(location || path.join(dataDir, "bot.db"));
+  const locks = new Map(); // key -> tail of the promise chain
+
+  return {
+    backend,
+    get: (collection, key) => impl.get(collection, String(key)),
+    set: (collection, key, value) => impl.set(collection, String(key), value),
+    delete: (collection, key) => impl.delete(collection, String(key)),
+    keys: (collection) => impl.keys(collection),
+    transaction: (fn) => impl.transaction(fn),
+
+    // Read-modify-write as one step. `fn` gets the stored value (or `fallback`) and returns the new one.
+    update(collection, key, fn, fallback = null) {
+      return impl.transaction(() => {
+        const next = fn(impl.get(collection, String(key)) ?? fallback);
+        impl.set(collection, String(key), next);
+        return next;
+      });
+    },
+
+    // Runs `fn` once every earlier call with the same key has settled (for read-modify-write across awaits)
+    withLock(key, fn) {
+      const run = (locks.get(key) || Promise.resolve()).then(() => fn());
+      const tail = run.catch(() => {});
+      locks.set(key, tail);
+      tail.then(() => {
+        if (locks.get(key) === tail) locks.delete(key);
+      });
+      return run;
+    },
+
+    close: () => impl.close()
+  };
+}
+
+// The bot used to keep every guild in one file per kind. Each file is copied into the store
+// once (records already in the store win) and renamed to *.migrated so it's never read again.
+const LEGACY_FILES = { guilds: "guild_state.json", changesets: "changesets.json", jobs: "jobs.json", tickets: "tickets.json" };
+
+function migrateLegacyFiles(store, dataDir) {
+  const migrated = [];
+  for (const [collection, name] of Object.entries(LEGACY_FILES)) {
+    const file = path.join(dataDir, name);
+    if (!fs.existsSync(file)) continue;
+
+    const all = JSON.parse(fs.readFileSync(file, "utf8"));
+    store.transaction(() => {
+      for (const [key, value] of Object.entries(all)) {
+        if (store.get(collection, key) === null) store.set(collection, key, value);
+      }
+    });
+    fs.renameSync(file, `${file}.migrated`);
+    migrated.push(`${name} (${Object.keys(all).length})`);
+  }
+  return migrated;
+}
+
+module.exports = {
+  BACKENDS,
+  openStorage,
+  migrateLegacyFiles,
+  writeFileAtomic
+};
\ No newline at end of file
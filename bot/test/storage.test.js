@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { openStorage, migrateLegacyFiles, writeFileAtomic } = require("../storage");
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), "blooper-storage-"));
+const tmpDir = () => fs.mkdtempSync(path.join(root, "data-"));
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+// The sqlite backend needs the native better-sqlite3 build; skip its tests where it isn't installed
+function sqliteMissing() {
+  try {
+    const Database = require("better-sqlite3");
+    new Database(":memory:").close();
+    return false;
+  } catch {
+    return "better-sqlite3 is not installed";
+  }
+}
+
+for (const backend of ["json", "sqlite"]) {
+  const skip = backend === "sqlite" && sqliteMissing();
+
+  test(`${backend}: get, set, update, keys and delete`, { skip }, (t) => {
+    const dataDir = tmpDir();
+    const store = openStorage({ dataDir, backend });
+    t.after(() => store.close());
+
+    assert.equal(store.get("guilds", "1"), null);
+    store.set("guilds", 1, { name: "one" });
+    store.set("guilds", "a/b", { name: "slash" });
+    assert.deepEqual(store.get("guilds", "1"), { name: "one" });
+    assert.deepEqual(store.keys("guilds"), ["1", "a/b"]);
+    assert.deepEqual(store.keys("jobs"), []);
+
+    assert.deepEqual(store.update("jobs", "1", (jobs) => [...jobs, "build"], []), ["build"]);
+    assert.deepEqual(store.update("jobs", "1", (jobs) => [...jobs, "edit"], []), ["build", "edit"]);
+
+    store.delete("guilds", "a/b");
+    assert.deepEqual(store.keys("guilds"), ["1"]);
+  });
+}
+
+test("unknown backends are refused", () => {
+  assert.throws(() => openStorage({ dataDir: tmpDir(), backend: "redis" }), /Unknown STORAGE_BACKEND "redis"/);
+});
+
+test("withLock runs calls with the same key one at a time, in order", async () => {
+  const store = openStorage({ dataDir: tmpDir(), backend: "json" });
+  const events = [];
+  const step = (name, ms) => async () => {
+    events.push(`${name}:start`);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    events.push(`${name}:end`);
+    return name;
+  };
+
+  const failing = store.withLock("g1", async () => {
+    events.push("boom");
+    throw new Error("boom");
+  });
+  const results = await Promise.allSettled([
+    failing,
+    store.withLock("g1", step("a", 20)),
+    store.withLock("g1", step("b", 0)),
+    store.withLock("g2", step("other", 5))
+  ]);
+
+  assert.equal(results[0].reason.message, "boom");
+  assert.deepEqual(results.slice(1).map(r => r.value), ["a", "b", "other"]);
+  // g2 doesn't wait for g1, and a failed call doesn't block the ones after it
+  assert.deepEqual(events, ["boom", "other:start", "a:start", "other:end", "a:end", "b:start", "b:end"]);
+});
+
+test("migrateLegacyFiles copies old per-kind files once, keeping existing records", () => {
+  const dataDir = tmpDir();
+  const store = openStorage({ dataDir, backend: "json" });
+
+  store.set("guilds", "g1", { name: "already migrated" });
+  fs.writeFileSync(path.join(dataDir, "guild_state.json"), JSON.stringify({ g1: { name: "old" }, g2: { name: "two" } }));
+  fs.writeFileSync(path.join(dataDir, "tickets.json"), JSON.stringify({ g2: { counter: 3, tickets: [] } }));
+
+  assert.deepEqual(migrateLegacyFiles(store, dataDir), ["guild_state.json (2)", "tickets.json (1)"]);
+  assert.deepEqual(store.get("guilds", "g1"), { name: "already migrated" });
+  assert.deepEqual(store.get("guilds", "g2"), { name: "two" });
+  assert.deepEqual(store.get("tickets", "g2"), { counter: 3, tickets: [] });
+
+  assert.equal(fs.existsSync(path.join(dataDir, "guild_state.json")), false);
+  assert.ok(fs.existsSync(path.join(dataDir, "guild_state.json.migrated")));
+  assert.deepEqual(migrateLegacyFiles(store, dataDir), []);
+});
+
+test("writeFileAtomic creates folders and leaves no temp file behind", () => {
+  const dataDir = tmpDir();
+  const file = path.join(dataDir, "nested", "record.json");
+
+  writeFileAtomic(file, "first");
+  writeFileAtomic(file, "second");
+  assert.equal(fs.readFileSync(file, "utf8"), "second");
+  assert.deepEqual(fs.readdirSync(path.dirname(file)), ["record.json"]);
+});
\ No newline at end of file
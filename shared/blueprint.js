@@ -0,0 +1,641 @@
+// ==============================
+// Shared blueprint helpers (used by api/ and bot/)
+// ==============================
+const LANGUAGES = ["EN", "HE", "EN+HE"];
+const PERM_PACK_NAMES = ["owner", "admin", "mod", "helper", "verified", "member", "ping"];
+const CHANNEL_TYPES = ["text", "voice", "stage", "announcement", "forum"];
+const VOICE_TYPES = ["voice", "stage"];
+const MESSAGE_TYPES = ["embed", "text"];
+const ROLE_MENU_STYLES = ["buttons", "select"];
+// Role menus hand roles to anyone who clicks, so only these packs may be on one
+const SELF_ASSIGN_PACKS = ["ping", "member"];
+// The verification button may only hand out these
+const GATE_PACKS = ["verified", "member"];
+// Tickets are private channels in the panel's category, or private threads under the panel
+const TICKET_MODES = ["channel", "thread"];
+const AFK_TIMEOUTS = [60, 300, 900, 1800, 3600];
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const HTTP_URL = /^https?:\/\/\S+$/i;
+
+// Discord limits the validator checks against
+const LIMITS = {
+  guildName: 100,
+  roleName: 100,
+  channelName: 100,
+  topic: 1024,
+  forumTopic: 4096,
+  roles: 250,
+  channels: 500, // categories count towards this too
+  channelsPerCategory: 50,
+  slowmode: 21600,
+  bitrateMin: 8000,
+  bitrateMax: 384000,
+  voiceUserLimit: 99,
+  stageUserLimit: 10000,
+  forumTags: 20,
+  tagName: 20,
+  embedTitle: 256,
+  embedDescription: 4096,
+  embedFooter: 2048,
+  embedFields: 25,
+  fieldName: 256,
+  fieldValue: 1024,
+  messageContent: 2000,
+  linkButtons: 5,
+  buttonLabel: 80,
+  roleMenuRoles: 25 // 5 rows of 5 buttons, or one select menu
+};
+
+// Mirrors discord.js PermissionsBitField.Flags (the API has no discord.js dependency)
+const PERMISSION_NAMES = [
+  "CreateInstantInvite", "KickMembers", "BanMembers", "Administrator", "ManageChannels", "ManageGuild",
+  "AddReactions", "ViewAuditLog", "PrioritySpeaker", "Stream", "ViewChannel", "SendMessages",
+  "SendTTSMessages", "ManageMessages", "EmbedLinks", "AttachFiles", "ReadMessageHistory", "MentionEveryone",
+  "UseExternalEmojis", "ViewGuildInsights", "Connect", "Speak", "MuteMembers", "DeafenMembers",
+  "MoveMembers", "UseVAD", "ChangeNickname", "ManageNicknames", "ManageRoles", "ManageWebhooks",
+  "ManageEmojisAndStickers", "ManageGuildExpressions", "UseApplicationCommands", "RequestToSpeak",
+  "ManageEvents", "ManageThreads", "CreatePublicThreads", "CreatePrivateThreads", "UseExternalStickers",
+  "SendMessagesInThreads", "UseEmbeddedActivities", "ModerateMembers", "ViewCreatorMonetizationAnalytics",
+  "UseSoundboard", "CreateGuildExpressions", "CreateEvents", "UseExternalSounds", "SendVoiceMessages",
+  "SendPolls", "UseExternalApps", "PinMessages", "BypassSlowmode"
+];
+
+// Discord forces lowercase-with-dashes names on text-like channels only
+function isTextLike(type) {
+  return !VOICE_TYPES.includes(type || "text");
+}
+
+// Letters and digits of any script survive (Hebrew has no case); symbols, emoji and
+// direction marks don't
+function normalizeChannelName(name) {
+  return String(name || "")
+    .replace(/\p{Cf}/gu, "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, "-")
+    .replace(/[^\p{L}\p{M}\p{N}\-]/gu, "-")
+    .replace(/\-+/g, "-")
+    .replace(/^\-|\-$/g, "")
+    .slice(0, 90);
+}
+
+// Starter message text can mention blueprint objects: {{role:ping_events}}, {{channel:rules}}.
+// `fn(kind, key)` returns the replacement (the bot resolves them to real mentions at build time).
+function replacePlaceholders(text, fn) {
+  return String(text ?? "").replace(/\{\{(role|channel):([^{}]+?)\}\}/g, (m, kind, key) => fn(kind, key.trim()) ?? m);
+}
+
+function sameName(a, b) {
+  return String(a || "").trim().toLowerCase() === String(b || "").trim().toLowerCase();
+}
+
+function channelMatches(existing, ch) {
+  const type = ch.type || "text";
+  if ((existing.type || "text") !== type) return false;
+  if (isTextLike(type)) return existing.name === normalizeChannelName(ch.name);
+  return sameName(existing.name, ch.name);
+}
+
+// ==============================
+// Schema validation
+// ==============================
+// Returns a list of { path, message } (empty when the blueprint is valid).
+function validateBlueprintSchema(bp) {
+  const errors = [];
+  const add = (path, message) => errors.push({ path, message });
+
+  const checkString = (path, value, max) => {
+    if (typeof value !== "string" || !value.trim()) return add(path, "must be a non-empty string");
+    if (value.length > max) add(path, `must be at most ${max} characters (got ${value.length})`);
+  };
+  const checkKey = (path, value, seen) => {
+    if (typeof value !== "string" || !value.trim()) return add(path, "must be a non-empty string");
+    if (seen.has(value)) add(path, `duplicate key "${value}"`);
+    seen.add(value);
+  };
+  const checkInt = (path, value, min, max) => {
+    if (value === undefined) return;
+    if (!Number.isInteger(Number(value)) || Number(value) < min || Number(value) > max) {
+      add(path, `must be an integer from ${min} to ${max} (got ${JSON.stringify(value)})`);
+    }
+  };
+  const checkPermissions = (path, list) => {
+    if (list === undefined) return;
+    if (!Array.isArray(list)) return add(path, "must be an array of permission names");
+    list.forEach((name, k) => {
+      if (!PERMISSION_NAMES.includes(name)) add(`${path}[${k}]`, `unknown permission "${name}"`);
+    });
+  };
+
+  if (!bp || typeof bp !== "object" || Array.isArray(bp)) {
+    add("", "blueprint must be a JSON object");
+    return errors;
+  }
+
+  checkString("name", bp.name, LIMITS.guildName);
+  if (bp.language !== undefined && !LANGUAGES.includes(bp.language)) add("language", `must be one of ${LANGUAGES.join(", ")}`);
+  const shapeErrors = errors.length;
+  if (!Array.isArray(bp.roles)) add("roles", "must be an array");
+  if (!Array.isArray(bp.categories)) add("categories", "must be an array");
+  if (bp.messages !== undefined && !Array.isArray(bp.messages)) add("messages", "must be an array");
+  if (bp.roleMenus !== undefined && !Array.isArray(bp.roleMenus)) add("roleMenus", "must be an array");
+  if (errors.length > shapeErrors) return errors;
+
+  // Roles
+  const roleKeys = new Set();
+  if (bp.roles.length > LIMITS.roles) add("roles", `Discord allows at most ${LIMITS.roles} roles (got ${bp.roles.length})`);
+  bp.roles.forEach((r, i) => {
+    const at = `roles[${i}]`;
+    if (!r || typeof r !== "object") return add(at, "must be an object");
+
+    checkKey(`${at}.key`, r.key, roleKeys);
+    checkString(`${at}.name`, r.name, LIMITS.roleName);
+    if (r.color !== undefined && !HEX_COLOR.test(String(r.color))) add(`${at}.color`, `must be a hex color like #1abc9c (got ${JSON.stringify(r.color)})`);
+    if (r.permPack !== undefined && !PERM_PACK_NAMES.includes(r.permPack)) add(`${at}.permPack`, `must be one of ${PERM_PACK_NAMES.join(", ")}`);
+    checkPermissions(`${at}.permissions`, r.permissions);
+    for (const field of ["hoist", "mentionable"]) {
+      if (r[field] !== undefined && typeof r[field] !== "boolean") add(`${at}.${field}`, "must be a boolean");
+    }
+  });
+
+  const checkOverwrites = (path, list) => {
+    if (list === undefined) return;
+    if (!Array.isArray(list)) return add(path, "must be an array");
+    list.forEach((ow, k) => {
+      const at = `${path}[${k}]`;
+      if (!ow || typeof ow !== "object") return add(at, "must be an object");
+      if (ow.target && ow.target !== "@everyone") add(`${at}.target`, `must be "@everyone" or empty`);
+      if (ow.targetRoleKey && !roleKeys.has(ow.targetRoleKey)) add(`${at}.targetRoleKey`, `unknown role key "${ow.targetRoleKey}"`);
+      if (!ow.target && !ow.targetRoleKey) add(at, `needs target "@everyone" or a targetRoleKey`);
+      checkPermissions(`${at}.allow`, ow.allow);
+      checkPermissions(`${at}.deny`, ow.deny);
+    });
+  };
+
+  // Categories + channels
+  const catKeys = new Set();
+  const channelKeys = new Set();
+  const channelTypes = new Map(); // channel key -> type
+  let totalChannels = bp.categories.length;
+  bp.categories.forEach((c, i) => {
+    const at = `categories[${i}]`;
+    if (!c || typeof c !== "object") return add(at, "must be an object");
+
+    checkKey(`${at}.key`, c.key, catKeys);
+    checkString(`${at}.name`, c.name, LIMITS.channelName);
+    checkOverwrites(`${at}.overwrites`, c.overwrites);
+
+    if (!Array.isArray(c.channels)) return add(`${at}.channels`, "must be an array");
+    if (c.channels.length > LIMITS.channelsPerCategory) {
+      add(`${at}.channels`, `Discord allows at most ${LIMITS.channelsPerCategory} channels per category (got ${c.channels.length})`);
+    }
+    totalChannels += c.channels.length;
+
+    c.channels.forEach((ch, j) => {
+      const cat = `${at}.channels[${j}]`;
+      if (!ch || typeof ch !== "object") return add(cat, "must be an object");
+
+      const type = ch.type === undefined ? "text" : ch.type;
+      if (!CHANNEL_TYPES.includes(type)) add(`${cat}.type`, `must be one of ${CHANNEL_TYPES.join(", ")}`);
+
+      checkKey(`${cat}.key`, ch.key, channelKeys);
+      if (typeof ch.key === "string" && !channelTypes.has(ch.key)) channelTypes.set(ch.key, type);
+
+      checkString(`${cat}.name`, ch.name, LIMITS.channelName);
+      if (isTextLike(type) && typeof ch.name === "string" && ch.name.trim() && !normalizeChannelName(ch.name)) {
+        add(`${cat}.name`, "has no usable characters for a text channel name");
+      }
+
+      const topicMax = type === "forum" ? LIMITS.forumTopic : LIMITS.topic;
+      if (ch.topic !== undefined && String(ch.topic).length > topicMax) add(`${cat}.topic`, `must be at most ${topicMax} characters`);
+      checkInt(`${cat}.slowmode`, ch.slowmode, 0, LIMITS.slowmode);
+
+      if (VOICE_TYPES.includes(type)) {
+        checkInt(`${cat}.bitrate`, ch.bitrate, LIMITS.bitrateMin, LIMITS.bitrateMax);
+        checkInt(`${cat}.userLimit`, ch.userLimit, 0, type === "stage" ? LIMITS.stageUserLimit : LIMITS.voiceUserLimit);
+      }
+
+      if (ch.tags !== undefined) {
+        if (type !== "forum") add(`${cat}.tags`, "only forum channels can have tags");
+        else if (!Array.isArray(ch.tags)) add(`${cat}.tags`, "must be an array");
+        else {
+          if (ch.tags.length > LIMITS.forumTags) add(`${cat}.tags`, `Discord allows at most ${LIMITS.forumTags} tags (got ${ch.tags.length})`);
+          ch.tags.forEach((t, k) => checkString(`${cat}.tags[${k}].name`, t?.name, LIMITS.tagName));
+        }
+      }
+
+      checkOverwrites(`${cat}.overwrites`, ch.overwrites);
+    });
+  });
+
+  if (totalChannels > LIMITS.channels) {
+    add("categories", `Discord allows at most ${LIMITS.channels} channels including categories (got ${totalChannels})`);
+  }
+
+  // Text of a starter message or its Hebrew version; placeholders must name blueprint keys
+  const checkLength = (path, value, max) => {
+    if (value !== undefined && String(value).length > max) add(path, `must be at most ${max} characters`);
+  };
+  const checkMessageText = (at, m) => {
+    checkLength(`${at}.title`, m.title, LIMITS.embedTitle);
+    checkLength(`${at}.description`, m.description, LIMITS.embedDescription);
+    checkLength(`${at}.content`, m.content, LIMITS.messageContent);
+    checkLength(`${at}.footer`, m.footer, LIMITS.embedFooter);
+
+    const fields = Array.isArray(m.fields) ? m.fields : [];
+    if (m.fields !== undefined && !Array.isArray(m.fields)) add(`${at}.fields`, "must be an array");
+    if (fields.length > LIMITS.embedFields) add(`${at}.fields`, `Discord allows at most ${LIMITS.embedFields} fields (got ${fields.length})`);
+    fields.forEach((f, k) => {
+      checkString(`${at}.fields[${k}].name`, f?.name, LIMITS.fieldName);
+      checkString(`${at}.fields[${k}].value`, f?.value, LIMITS.fieldValue);
+      if (f?.inline !== undefined && typeof f.inline !== "boolean") add(`${at}.fields[${k}].inline`, "must be a boolean");
+    });
+
+    const texts = [m.title, m.description, m.content, m.footer, ...fields.flatMap(f => [f?.name, f?.value])];
+    for (const text of texts) {
+      replacePlaceholders(text, (kind, key) => {
+        if (!(kind === "role" ? roleKeys : channelTypes).has(key)) add(at, `{{${kind}:${key}}} names an unknown ${kind} key`);
+      });
+    }
+  };
+
+  // Starter messages
+  (bp.messages || []).forEach((m, i) => {
+    const at = `messages[${i}]`;
+    if (!m || typeof m !== "object") return add(at, "must be an object");
+
+    if (!channelTypes.has(m.channelKey)) add(`${at}.channelKey`, `unknown channel key "${m.channelKey}"`);
+    else if (channelTypes.get(m.channelKey) === "forum") add(`${at}.channelKey`, "starter messages can't be posted in a forum channel");
+
+    if (m.type !== undefined && !MESSAGE_TYPES.includes(m.type)) add(`${at}.type`, `must be one of ${MESSAGE_TYPES.join(", ")}`);
+    checkMessageText(at, m);
+
+    if (m.type === "text") {
+      for (const field of ["color", "fields", "footer", "thumbnail", "image"]) {
+        if (m[field] !== undefined) add(`${at}.${field}`, "only embed messages can have this");
+      }
+    }
+    if (m.color !== undefined && !HEX_COLOR.test(String(m.color))) add(`${at}.color`, `must be a hex color like #1abc9c (got ${JSON.stringify(m.color)})`);
+    for (const field of ["thumbnail", "image"]) {
+      if (m[field] !== undefined && !HTTP_URL.test(String(m[field]))) add(`${at}.${field}`, "must be an http(s) URL");
+    }
+    if (m.pin !== undefined && typeof m.pin !== "boolean") add(`${at}.pin`, "must be a boolean");
+
+    if (m.buttons !== undefined) {
+      if (!Array.isArray(m.buttons)) add(`${at}.buttons`, "must be an array");
+      else {
+        if (m.buttons.length > LIMITS.linkButtons) add(`${at}.buttons`, `at most ${LIMITS.linkButtons} link buttons (got ${m.buttons.length})`);
+        m.buttons.forEach((b, k) => {
+          checkString(`${at}.buttons[${k}].label`, b?.label, LIMITS.buttonLabel);
+          if (!HTTP_URL.test(String(b?.url || ""))) add(`${at}.buttons[${k}].url`, "must be an http(s) URL");
+        });
+      }
+    }
+
+    // Hebrew version, posted next to the English one in EN+HE servers
+    if (m.he !== undefined) {
+      if (!m.he || typeof m.he !== "object") return add(`${at}.he`, "must be an object");
+      checkMessageText(`${at}.he`, m.he);
+    }
+  });
+
+  // Self-assign role menus
+  const rolesByKey = new Map(bp.roles.filter(r => r && typeof r === "object").map(r => [r.key, r]));
+  (bp.roleMenus || []).forEach((menu, i) => {
+    const at = `roleMenus[${i}]`;
+    if (!menu || typeof menu !== "object") return add(at, "must be an object");
+
+    const type = channelTypes.get(menu.channelKey);
+    if (!type) add(`${at}.channelKey`, `unknown channel key "${menu.channelKey}"`);
+    else if (type === "forum" || !isTextLike(type)) add(`${at}.channelKey`, "role menus must be posted in a text or announcement channel");
+
+    if (menu.style !== undefined && !ROLE_MENU_STYLES.includes(menu.style)) add(`${at}.style`, `must be one of ${ROLE_MENU_STYLES.join(", ")}`);
+    checkLength(`${at}.title`, menu.title, LIMITS.embedTitle);
+    checkLength(`${at}.description`, menu.description, LIMITS.embedDescription);
+
+    if (!Array.isArray(menu.roles) || !menu.roles.length) return add(`${at}.roles`, "must be a non-empty array of role keys");
+    if (menu.roles.length > LIMITS.roleMenuRoles) add(`${at}.roles`, `at most ${LIMITS.roleMenuRoles} roles per menu (got ${menu.roles.length})`);
+    const seen = new Set();
+    menu.roles.forEach((key, k) => {
+      const role = rolesByKey.get(key);
+      if (!role) add(`${at}.roles[${k}]`, `unknown role key "${key}"`);
+      else if (!SELF_ASSIGN_PACKS.includes(role.permPack || "member") || role.permissions?.length) {
+        add(`${at}.roles[${k}]`, `"${key}" can't be self-assigned (only ${SELF_ASSIGN_PACKS.join("/")} roles without extra permissions)`);
+      }
+      if (seen.has(key)) add(`${at}.roles[${k}]`, `duplicate role key "${key}"`);
+      seen.add(key);
+    });
+  });
+
+  // Verification gate
+  if (bp.verification !== undefined) {
+    const v = bp.verification;
+    if (!v || typeof v !== "object" || Array.isArray(v)) add("verification", "must be an object");
+    else {
+      if (v.enabled !== undefined && typeof v.enabled !== "boolean") add("verification.enabled", "must be a boolean");
+      const type = channelTypes.get(v.channelKey);
+      if (!type) add("verification.channelKey", `unknown channel key "${v.channelKey}"`);
+      else if (type === "forum" || !isTextLike(type)) add("verification.channelKey", "must be a text or announcement channel");
+
+      for (const field of ["roleKey", "memberRoleKey"]) {
+        if (field === "memberRoleKey" && !v.memberRoleKey) continue;
+        const role = rolesByKey.get(v[field]);
+        if (!role) add(`verification.${field}`, `unknown role key "${v[field]}"`);
+        else if (!GATE_PACKS.includes(role.permPack || "member") || role.permissions?.length) {
+          add(`verification.${field}`, `"${v[field]}" can't be granted by the verification button (only ${GATE_PACKS.join("/")} roles without extra permissions)`);
+        }
+      }
+      checkLength("verification.title", v.title, LIMITS.embedTitle);
+      checkLength("verification.description", v.description, LIMITS.embedDescription);
+      checkLength("verification.buttonLabel", v.buttonLabel, LIMITS.buttonLabel);
+    }
+  }
+
+  // Ticket panel
+  if (bp.tickets !== undefined) {
+    const t = bp.tickets;
+    if (!t || typeof t !== "object" || Array.isArray(t)) add("tickets", "must be an object");
+    else {
+      if (t.enabled !== undefined && typeof t.enabled !== "boolean") add("tickets.enabled", "must be a boolean");
+      if (t.mode !== undefined && !TICKET_MODES.includes(t.mode)) add("tickets.mode", `must be one of ${TICKET_MODES.join(", ")}`);
+      const type = channelTypes.get(t.channelKey);
+      if (!type) add("tickets.channelKey", `unknown channel key "${t.channelKey}"`);
+      else if (type === "forum" || !isTextLike(type)) add("tickets.channelKey", "must be a text or announcement channel");
+      else if (t.mode === "thread" && type !== "text") add("tickets.channelKey", "private ticket threads need a text channel");
+
+      if (t.logChannelKey) {
+        const logType = channelTypes.get(t.logChannelKey);
+        if (!logType) add("tickets.logChannelKey", `unknown channel key "${t.logChannelKey}"`);
+        else if (logType === "forum" || !isTextLike(logType)) add("tickets.logChannelKey", "must be a text or announcement channel");
+      }
+      if (t.staffRoleKeys !== undefined && !Array.isArray(t.staffRoleKeys)) add("tickets.staffRoleKeys", "must be an array");
+      else for (const key of t.staffRoleKeys || []) if (!rolesByKey.has(key)) add("tickets.staffRoleKeys", `unknown role key "${key}"`);
+
+      checkLength("tickets.title", t.title, LIMITS.embedTitle);
+      checkLength("tickets.description", t.description, LIMITS.embedDescription);
+      checkLength("tickets.buttonLabel", t.buttonLabel, LIMITS.buttonLabel);
+    }
+  }
+
+  // Guild AFK channel
+  if (bp.afk !== undefined) {
+    if (!bp.afk || channelTypes.get(bp.afk.channelKey) !== "voice") add("afk.channelKey", "must be the key of a voice channel");
+    if (bp.afk?.timeout !== undefined && !AFK_TIMEOUTS.includes(Number(bp.afk.timeout))) {
+      add("afk.timeout", `must be one of ${AFK_TIMEOUTS.join(", ")}`);
+    }
+  }
+
+  return errors;
+}
+
+// "path: message" lines for replies, logs and model feedback
+function describeErrors(errors) {
+  return errors.map(e => (e.path ? `${e.path}: ${e.message}` : e.message));
+}
+
+// ==============================
+// Planner (dry-run: blueprint vs guild snapshot)
+// ==============================
+// snapshot = {
+//   roles:      [{ id, name }],
+//   categories: [{ id, name }],
+//   channels:   [{ id, name, type: "text" | "voice" | ..., parentId }],
+//   tracked:    { roles: { key: id }, categories: { key: id }, channels: { key: id } }  (optional, from guild state)
+// }
+// Actions: "update" (tracked by key), "reuse" (same name), "create", "skip".
+function planBlueprint(blueprint, snapshot) {
+  const snap = {
+    roles: Array.isArray(snapshot?.roles) ? snapshot.roles : [],
+    categories: Array.isArray(snapshot?.categories) ? snapshot.categories : [],
+    channels: Array.isArray(snapshot?.channels) ? snapshot.channels : [],
+    tracked: snapshot?.tracked || {}
+  };
+  const trackedId = (kind, key) => {
+    const id = snap.tracked[kind]?.[key];
+    return id && snap[kind].some(x => x.id === id) ? id : null;
+  };
+
+  const plan = { roles: [], categories: [], channels: [], messages: [] };
+
+  // Roles: update a tracked role, else reuse an existing role with the same name
+  const roleKeys = new Set();
+  for (const r of blueprint.roles || []) {
+    const entry = { key: r.key, name: r.name, action: "create" };
+    if (roleKeys.has(r.key)) {
+      entry.action = "skip";
+      entry.reason = "duplicate key";
+    } else if (sameName(r.name, "@everyone")) {
+      entry.action = "skip";
+      entry.reason = "@everyone already exists";
+    } else if (trackedId("roles", r.key)) {
+      entry.action = "update";
+      entry.id = trackedId("roles", r.key);
+    } else {
+      const existing = snap.roles.find(x => sameName(x.name, r.name));
+      if (existing) {
+        entry.action = "reuse";
+        entry.id = existing.id;
+      }
+    }
+    roleKeys.add(r.key);
+    plan.roles.push(entry);
+  }
+
+  // Categories + channels: untracked channels are only reused inside an existing category
+  const catKeys = new Set();
+  const channelKeys = new Set();
+  for (const cat of blueprint.categories || []) {
+    const entry = { key: cat.key, name: cat.name, action: "create" };
+    if (catKeys.has(cat.key)) {
+      entry.action = "skip";
+      entry.reason = "duplicate key";
+    } else if (trackedId("categories", cat.key)) {
+      entry.action = "update";
+      entry.id = trackedId("categories", cat.key);
+    } else {
+      const existing = snap.categories.find(x => sameName(x.name, cat.name));
+      if (existing) {
+        entry.action = "reuse";
+        entry.id = existing.id;
+      }
+    }
+    catKeys.add(cat.key);
+    plan.categories.push(entry);
+
+    for (const ch of cat.channels || []) {
+      const chEntry = { key: ch.key, name: ch.name, type: ch.type || "text", categoryKey: cat.key, action: "create" };
+      if (entry.action === "skip") {
+        chEntry.action = "skip";
+        chEntry.reason = "category skipped";
+      } else if (channelKeys.has(ch.key)) {
+        chEntry.action = "skip";
+        chEntry.reason = "duplicate key";
+      } else if (trackedId("channels", ch.key)) {
+        chEntry.action = "update";
+        chEntry.id = trackedId("channels", ch.key);
+      } else if (entry.action !== "create") {
+        const existing = snap.channels.find(x => x.parentId === entry.id && channelMatches(x, ch));
+        if (existing) {
+          chEntry.action = "reuse";
+          chEntry.id = existing.id;
+        }
+      }
+      if (chEntry.action !== "skip") channelKeys.add(ch.key);
+      plan.channels.push(chEntry);
+    }
+  }
+
+  // Starter messages
+  for (const msg of blueprint.messages || []) {
+    const entry = { channelKey: msg.channelKey, title: msg.title || "", action: "create" };
+    if (!channelKeys.has(msg.channelKey)) {
+      entry.action = "skip";
+      entry.reason = "unknown channel key";
+    }
+    plan.messages.push(entry);
+  }
+  for (const menu of blueprint.roleMenus || []) {
+    const entry = { channelKey: menu.channelKey, title: menu.title || "role menu", roleMenu: true, action: "create" };
+    if (!channelKeys.has(menu.channelKey)) {
+      entry.action = "skip";
+      entry.reason = "unknown channel key";
+    }
+    plan.messages.push(entry);
+  }
+
+  plan.summary = { create: 0, update: 0, reuse: 0, skip: 0 };
+  for (const list of [plan.roles, plan.categories, plan.channels, plan.messages]) {
+    for (const item of list) plan.summary[item.action]++;
+  }
+
+  return plan;
+}
+
+// ==============================
+// Verification gate overwrites
+// ==============================
+// With `verification.enabled`, unverified members only see the category holding the
+// verification channel. Every other category is hidden from @everyone and shown to the
+// verified role; categories already hidden from @everyone (staff) keep their own overwrites.
+// Channels with their own overwrites don't sync with their category, so they're gated the same way.
+// Idempotent, so it can run on every normalize and before every build.
+function gateOverwrites(overwrites, roleKey) {
+  let everyone = overwrites.find(o => o.target === "@everyone");
+  const gated = overwrites.some(o => o.targetRoleKey === roleKey && (o.allow || []).includes("ViewChannel"));
+  if (everyone?.deny?.includes("ViewChannel") && !gated) return;
+
+  if (!everyone) {
+    everyone = { target: "@everyone", targetRoleKey: "", allow: [], deny: [] };
+    overwrites.push(everyone);
+  }
+  everyone.allow = (everyone.allow || []).filter(p => p !== "ViewChannel");
+  everyone.deny = [...new Set([...(everyone.deny || []), "ViewChannel"])];
+
+  let verified = overwrites.find(o => o.targetRoleKey === roleKey);
+  if (!verified) {
+    verified = { target: "", targetRoleKey: roleKey, allow: [], deny: [] };
+    overwrites.push(verified);
+  }
+  verified.allow = [...new Set([...(verified.allow || []), "ViewChannel"])];
+  verified.deny = (verified.deny || []).filter(p => p !== "ViewChannel");
+}
+
+function applyVerificationGate(bp) {
+  const v = bp?.verification;
+  if (!v?.enabled || !Array.isArray(bp.categories)) return bp;
+
+  const openCategory = bp.categories.find(c => (c.channels || []).some(ch => ch.key === v.channelKey));
+  for (const cat of bp.categories) {
+    if (cat === openCategory) continue;
+    cat.overwrites = Array.isArray(cat.overwrites) ? cat.overwrites : [];
+    gateOverwrites(cat.overwrites, v.roleKey);
+
+    for (const ch of cat.channels || []) {
+      if (Array.isArray(ch.overwrites) && ch.overwrites.length) gateOverwrites(ch.overwrites, v.roleKey);
+    }
+  }
+  return bp;
+}
+
+// ==============================
+// Version diff (blueprint vs blueprint)
+// ==============================
+// Entries are matched by key; messages and role menus by channelKey + position within that channel.
+function diffEntries(before, after, keyOf) {
+  const index = (list) => new Map(list.map((x, i) => [keyOf(x, i, list), x]));
+  const a = index(before);
+  const b = index(after);
+  const out = { added: [], removed: [], changed: [] };
+
+  for (const [key, x] of b) {
+    if (!a.has(key)) {
+      out.added.push({ key, name: x.name || x.title || "" });
+      continue;
+    }
+    const prev = a.get(key);
+    const fields = [...new Set([...Object.keys(prev), ...Object.keys(x)])]
+      .filter(f => JSON.stringify(prev[f]) !== JSON.stringify(x[f]))
+      .sort();
+    if (fields.length) out.changed.push({ key, name: x.name || x.title || "", fields });
+  }
+  for (const [key, x] of a) {
+    if (!b.has(key)) out.removed.push({ key, name: x.name || x.title || "" });
+  }
+  return out;
+}
+
+function diffBlueprints(before, after) {
+  const flatChannels = (bp) => (bp?.categories || []).flatMap(cat =>
+    (cat.channels || []).map(ch => ({ ...ch, category: cat.key }))
+  );
+  const categoriesOnly = (bp) => (bp?.categories || []).map(({ channels, ...cat }) => cat);
+  const messageKey = (m, i, list) => `${m.channelKey}#${list.slice(0, i).filter(x => x.channelKey === m.channelKey).length}`;
+
+  const diff = {
+    settings: ["name", "language", "theme", "afk", "verification", "tickets"].filter(f => JSON.stringify(before?.[f]) !== JSON.stringify(after?.[f])),
+    roles: diffEntries(before?.roles || [], after?.roles || [], r => r.key),
+    categories: diffEntries(categoriesOnly(before), categoriesOnly(after), c => c.key),
+    channels: diffEntries(flatChannels(before), flatChannels(after), c => c.key),
+    messages: diffEntries(before?.messages || [], after?.messages || [], messageKey),
+    roleMenus: diffEntries(before?.roleMenus || [], after?.roleMenus || [], messageKey)
+  };
+
+  diff.summary = { added: 0, removed: 0, changed: diff.settings.length };
+  for (const kind of ["roles", "categories", "channels", "messages", "roleMenus"]) {
+    for (const op of ["added", "removed", "changed"]) diff.summary[op] += diff[kind][op].length;
+  }
+  return diff;
+}
+
+// One line per difference, e.g. "➕ channel trading" or "✏️ role Mod (color)"
+function describeDiff(diff) {
+  const lines = diff.settings.map(f => `✏️ ${f}`);
+  const labels = { roles: "role", categories: "category", channels: "channel", messages: "message", roleMenus: "role menu" };
+  for (const [kind, label] of Object.entries(labels)) {
+    for (const x of diff[kind].added) lines.push(`➕ ${label} ${x.name || x.key}`);
+    for (const x of diff[kind].removed) lines.push(`➖ ${label} ${x.name || x.key}`);
+    for (const x of diff[kind].changed) lines.push(`✏️ ${label} ${x.name || x.key} (${x.fields.join(", ")})`);
+  }
+  return lines;
+}
+
+module.exports = {
+  LANGUAGES,
+  PERM_PACK_NAMES,
+  CHANNEL_TYPES,
+  VOICE_TYPES,
+  ROLE_MENU_STYLES,
+  TICKET_MODES,
+  AFK_TIMEOUTS,
+  PERMISSION_NAMES,
+  LIMITS,
+  isTextLike,
+  normalizeChannelName,
+  replacePlaceholders,
+  applyVerificationGate,
+  validateBlueprintSchema,
+  describeErrors,
+  planBlueprint,
+  diffBlueprints,
+  describeDiff
+};
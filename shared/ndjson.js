@@ -0,0 +1,23 @@
+// ==============================
+// NDJSON stream reader (used by api/ and bot/)
+// ==============================
+// Yields one parsed object per line of a fetch() response body.
+async function* readNDJSON(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let nl;
+    while ((nl = buffer.indexOf("\n")) !== -1) {
+      const line = buffer.slice(0, nl).trim();
+      buffer = buffer.slice(nl + 1);
+      if (line) yield JSON.parse(line);
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim()) yield JSON.parse(buffer);
+}
+
+module.exports = { readNDJSON };
@@ -0,0 +1,57 @@
+const crypto = require("crypto");
+
+// ==============================
+// Request signing (HMAC-SHA256 between bot/ and api/)
+// ==============================
+// The bot signs timestamp, method, path (with query), guild id, user id and raw body with the
+// shared API_SECRET; the API recomputes it. Old timestamps are refused so captured requests can't be replayed later.
+
+const HEADERS = {
+  timestamp: "x-blooper-timestamp",
+  signature: "x-blooper-signature",
+  guildId: "x-guild-id",
+  userId: "x-user-id"
+};
+const MAX_SKEW_SECONDS = 300;
+
+function signature(secret, { timestamp, method, path, guildId = "", userId = "", body = "" }) {
+  const payload = [timestamp, method.toUpperCase(), path, guildId, userId, body].join("\n");
+  return `sha256=${crypto.createHmac("sha256", secret).update(payload).digest("hex")}`;
+}
+
+// The path as fetch sends it: URL parsing drops an empty "?" and escapes what needs escaping
+function requestPath(path) {
+  const url = new URL(path, "http://localhost");
+  return `${url.pathname}${url.search}`;
+}
+
+// Headers for one request; only the actor ids when there's no secret
+function signedHeaders(secret, { method, path, body = "", guildId = "", userId = "" }) {
+  const headers = {};
+  if (guildId) headers[HEADERS.guildId] = String(guildId);
+  if (userId) headers[HEADERS.userId] = String(userId);
+  if (!secret) return headers;
+
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  headers[HEADERS.timestamp] = timestamp;
+  headers[HEADERS.signature] = signature(secret, { timestamp, method, path: requestPath(path), guildId, userId, body });
+  return headers;
+}
+
+// Returns null when the request is signed correctly, else the reason it isn't
+function verifySignature(secret, { timestamp, signature: given, method, path, guildId = "", userId = "", body = "" }) {
+  if (!timestamp || !given) return "missing signature";
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > MAX_SKEW_SECONDS) return "timestamp too old or in the future";
+
+  const expected = Buffer.from(signature(secret, { timestamp, method, path, guildId, userId, body }));
+  const actual = Buffer.from(String(given));
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return "bad signature";
+  return null;
+}
+
+module.exports = {
+  HEADERS,
+  MAX_SKEW_SECONDS,
+  signedHeaders,
+  verifySignature
+};
\ No newline at end of file